@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Re-score stored analyses with the current scoring engine (no API calls)
+ *
+ * Usage:
+ *   npm run rescore -- --ticker BTC --profile defi-conservative --limit 50
+ *   npm run rescore -- --weights tokenomics:0.4,liquidity:0.2,social:0.1,onchain:0.3 --green 7.5
+ *   npm run rescore -- --since 2025-01-01 --until 2025-06-30 --json
+ *   npm run rescore -- --ticker ETH --model v1
+ */
+const db = require('../src/utils/database');
+const logger = require('../src/utils/logger');
+const scoringEngine = require('../src/services/analyzer/scoring.engine');
+const scoringProfileService = require('../src/services/analyzer/scoring-profile.service');
+const rescoreService = require('../src/services/analyzer/rescore.service');
+
+const FLAGS = ['ticker', 'profile', 'model', 'weights', 'green', 'yellow', 'since', 'until', 'limit'];
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+
+    if (name === 'json' || name === 'help') {
+      args[name] = true;
+    } else if (FLAGS.includes(name) && argv[i + 1] !== undefined) {
+      args[name] = argv[++i];
+    } else {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+function formatScore(entry) {
+  return `${entry.overall_score.toFixed(2)} ${entry.classification.padEnd(6)}`;
+}
+
+function printReport(report) {
+  const { scoring, summary, results, errors } = report;
+
+  console.log(`Scoring: ${scoring.profile ? `profile "${scoring.profile}"` : 'default config'}, model ${scoring.model}`);
+  console.log(`Weights: ${JSON.stringify(scoring.weights)}  Thresholds: ${JSON.stringify(scoring.thresholds)}`);
+  console.log('');
+  console.log(`${'ANALYZED AT'.padEnd(26)}${'TICKER'.padEnd(10)}${'OLD'.padEnd(14)}${'NEW'.padEnd(14)}${'DELTA'.padEnd(8)}REPLAY`);
+
+  for (const r of results) {
+    const delta = `${r.delta.overall > 0 ? '+' : ''}${r.delta.overall.toFixed(2)}`;
+    const replay = r.replay === 'full' ? 'full' : `partial (kept ${r.carried_over.join(', ')})`;
+
+    console.log(
+      `${r.analyzed_at.padEnd(26)}${r.ticker.padEnd(10)}${formatScore(r.old).padEnd(14)}` +
+      `${formatScore(r.new).padEnd(14)}${delta.padEnd(8)}${replay}${r.classification_changed ? '  *' : ''}`
+    );
+  }
+
+  console.log('');
+  console.log(`Snapshots: ${summary.snapshots} (${summary.full_replays} full, ${summary.partial_replays} partial)`);
+  console.log(`Average delta: ${summary.avg_delta}  Max increase: ${summary.max_increase}  Max decrease: ${summary.max_decrease}`);
+  console.log(`Classification changes: ${summary.classification_changes} ${JSON.stringify(summary.transitions)}`);
+
+  if (errors.length > 0) {
+    console.log(`Skipped ${errors.length} unreadable snapshot(s): ${errors.map(e => e.id).join(', ')}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log('Options: --ticker --profile --model --weights k:v,... --green --yellow --since --until --limit --json');
+    return;
+  }
+
+  // Keep stdout for the report
+  logger.level = 'warn';
+
+  await db.connect();
+
+  try {
+    const scoringConfig = await scoringProfileService.resolveScoringConfig(
+      scoringEngine.parseOverrides(args),
+      args.profile
+    );
+    const report = await rescoreService.rescoreHistory(scoringConfig, args);
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(`Rescore failed: ${error.message}`);
+  process.exit(1);
+});
@@ -7,6 +7,7 @@ const config = require('./config');
 const logger = require('./utils/logger');
 const cache = require('./utils/cache');
 const db = require('./utils/database');
+const coinRegistry = require('./services/real/coin-registry.service');
 const routes = require('./routes');
 
 const app = express();
@@ -66,6 +67,9 @@ async function startServer() {
     logger.info('Connecting to Database...');
     await db.connect();
 
+    // Syncs in the background; lookups fall back to the API until it's ready
+    coinRegistry.start();
+
     app.listen(config.port, () => {
       logger.info(`🚀 Server running on port ${config.port}`);
       logger.info(`📊 Environment: ${config.nodeEnv}`);
@@ -81,6 +85,7 @@ async function startServer() {
 
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully...');
+  coinRegistry.stop();
   await cache.disconnect();
   db.close();
   process.exit(0);
@@ -88,11 +93,15 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully...');
+  coinRegistry.stop();
   await cache.disconnect();
   db.close();
   process.exit(0);
 });
 
-startServer();
+// Tests require the app without connecting to Redis or listening on a port
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
\ No newline at end of file
@@ -8,7 +8,9 @@ module.exports = {
     host: process.env.REDIS_HOST || 'localhost',
     port: process.env.REDIS_PORT || 6379,
     password: process.env.REDIS_PASSWORD || undefined,
-    cacheTTL: parseInt(process.env.CACHE_TTL) || 3600
+    cacheTTL: parseInt(process.env.CACHE_TTL) || 3600,
+    // Analyses past cacheTTL are served stale (and refreshed) until this age
+    cacheHardTTL: parseInt(process.env.CACHE_HARD_TTL) || 21600
   },
   
   rateLimit: {
@@ -59,15 +61,114 @@ module.exports = {
         requestsPerDay: 100000
       }
     },
+    // Solana JSON-RPC (point at a local validator for tests)
+    solana: {
+      rpcUrl: process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+      timeout: 15000,
+      enabled: true,
+      // getProgramAccounts holder scan (opt-in); many public RPCs reject it for large mints
+      scanHolders: process.env.SOLANA_SCAN_HOLDERS === 'true',
+      // Scans answering with more than this fall back to the largest accounts
+      scanMaxBytes: parseInt(process.env.SOLANA_SCAN_MAX_BYTES) || 10 * 1024 * 1024
+    },
+    // Network stats for native coins (Blockchair-compatible API; self-host or proxy via the URL)
+    nativeStats: {
+      baseUrl: process.env.NATIVE_STATS_URL || 'https://api.blockchair.com',
+      apiKey: process.env.NATIVE_STATS_API_KEY || '',
+      // Ethereum validator count (beaconcha.in-compatible `/api/v1/epoch/latest`)
+      beaconUrl: process.env.BEACON_STATS_URL || 'https://beaconcha.in',
+      timeout: 15000
+    },
+    // Multi-chain aggregator (Covalent / GoldRush-compatible API)
+    covalent: {
+      apiKey: process.env.COVALENT_API_KEY || '',
+      baseUrl: process.env.COVALENT_BASE_URL || 'https://api.covalenthq.com/v1',
+      timeout: 15000,
+      enabled: !!process.env.COVALENT_API_KEY
+    },
+    // BscScan API (BNB Smart Chain, Etherscan-compatible)
+    bscscan: {
+      apiKey: process.env.BSCSCAN_API_KEY || '',
+      baseUrl: 'https://api.bscscan.com/api',
+      timeout: 10000,
+      enabled: !!process.env.BSCSCAN_API_KEY,
+      rateLimit: {
+        requestsPerSecond: 5,
+        requestsPerDay: 100000
+      }
+    },
+    // PolygonScan API (Polygon PoS, Etherscan-compatible)
+    polygonscan: {
+      apiKey: process.env.POLYGONSCAN_API_KEY || '',
+      baseUrl: 'https://api.polygonscan.com/api',
+      timeout: 10000,
+      enabled: !!process.env.POLYGONSCAN_API_KEY,
+      rateLimit: {
+        requestsPerSecond: 5,
+        requestsPerDay: 100000
+      }
+    },
   },
   
+  // Data source plugins (src/services/providers/*.provider.js) that may be used;
+  // an enabled provider still needs its requiredConfig (API keys) to be active
+  providers: {
+    enabled: (process.env.PROVIDERS ||
+      'coingecko,coinmarketcap,defillama,tokenunlocks,etherscan,bscscan,polygonscan,' +
+      'solana_rpc,covalent,native_stats,github,reddit,twitter_api,twitter_scraper')
+      .split(',')
+      .map(p => p.trim().toLowerCase())
+      .filter(Boolean)
+  },
+
+  // Market data providers tried in order (primary first, then fallbacks)
+  marketData: {
+    providers: (process.env.MARKET_DATA_PROVIDERS || 'coingecko,coinmarketcap')
+      .split(',')
+      .map(p => p.trim().toLowerCase())
+      .filter(Boolean)
+  },
+
+  // Local copy of CoinGecko's coin list used for ticker resolution and search
+  registry: {
+    syncIntervalMs: parseInt(process.env.COIN_REGISTRY_SYNC_MS) || 86400000, // 24 hours
+    timeout: 60000
+  },
+
+  // Outbound HTTP: live, record (save responses as fixtures) or replay (serve fixtures, no network)
+  http: {
+    mode: ['record', 'replay'].includes(process.env.HTTP_MODE) ? process.env.HTTP_MODE : 'live',
+    fixturesDir: process.env.HTTP_FIXTURES_DIR || 'tests/fixtures/http',
+    // Retries on 429/5xx; a Retry-After longer than maxDelayMs fails instead of waiting
+    retry: {
+      attempts: parseInt(process.env.HTTP_RETRY_ATTEMPTS) || 3,
+      baseDelayMs: parseInt(process.env.HTTP_RETRY_BASE_DELAY_MS) || 500,
+      maxDelayMs: parseInt(process.env.HTTP_RETRY_MAX_DELAY_MS) || 10000
+    },
+    // Per-provider breaker: opens after consecutive failed requests, probes again after openMs
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.HTTP_BREAKER_THRESHOLD) || 5,
+      openMs: parseInt(process.env.HTTP_BREAKER_OPEN_MS) || 30000
+    }
+  },
+
   mock: {
     useMockSocial: process.env.USE_MOCK_SOCIAL === 'true',
     useMockOnchain: process.env.USE_MOCK_ONCHAIN === 'true',
-    dataVariance: parseFloat(process.env.MOCK_DATA_VARIANCE) || 0.15
+    dataVariance: parseFloat(process.env.MOCK_DATA_VARIANCE) || 0.15,
+    // Seed for simulated data; the same seed and ticker always give the same values ('random' to disable)
+    seed: process.env.MOCK_SEED || 'default'
   },
-  
+
+  jobs: {
+    maxTickers: parseInt(process.env.JOB_MAX_TICKERS) || 300,
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 3,
+    retentionMs: parseInt(process.env.JOB_RETENTION_MS) || 86400000 // 24 hours
+  },
+
   scoring: {
+    // Rule set used when a request doesn't pick one (see ScoringEngine.models)
+    model: process.env.SCORING_MODEL || 'v2',
     weights: {
       tokenomics: 0.30,
       liquidity: 0.25,
@@ -1,31 +1,99 @@
 const analyzerService = require('../services/analyzer/analyzer.service');
+const scoringEngine = require('../services/analyzer/scoring.engine');
+const scoringProfileService = require('../services/analyzer/scoring-profile.service');
+const rescoreService = require('../services/analyzer/rescore.service');
+const analysisRuns = require('../services/analyzer/analysis-run.service');
+const chainDetector = require('../services/analyzer/chain-detector.service');
+const coinRegistry = require('../services/real/coin-registry.service');
+const scenarioMock = require('../services/mock/scenario.mock');
 const cache = require('../utils/cache');
 const db = require('../utils/database');
+const resilience = require('../utils/resilience');
 const logger = require('../utils/logger');
 
+/**
+ * Cached analysis (cache.getEntry) scored by the requested model, or null.
+ * Stale entries are still returned, and a background run (joining any
+ * in-flight one) replaces them.
+ */
+async function getCachedAnalysis(identifier, scoringConfig) {
+  const entry = await cache.getEntry(analysisRuns.cacheKey(identifier));
+
+  if (!entry || !scoringEngine.matchesModel(entry.value, scoringConfig.model)) {
+    return null;
+  }
+
+  if (entry.stale) {
+    logger.info(`Serving stale analysis for ${identifier} (${entry.age_seconds}s old), refreshing`);
+    analysisRuns.run(identifier, scoringConfig).catch(error => {
+      logger.warn(`Background refresh failed for ${identifier}:`, error.message);
+    });
+  }
+
+  return entry;
+}
+
+/**
+ * `cache` block of a cached response
+ */
+function cacheStatus(entry) {
+  const { value, ...status } = entry;
+  return { ...status, revalidating: entry.stale };
+}
+
+/**
+ * 300 body for a symbol shared by several coins, with a link to analyze each one
+ */
+function ambiguousTicker(error) {
+  return {
+    error: 'Ambiguous ticker',
+    message: error.message,
+    candidates: error.candidates.map(candidate => ({
+      ...candidate,
+      analyze_url: `/api/analyze/coingecko:${candidate.id}`
+    }))
+  };
+}
+
 class AnalyzerController {
   async analyzeCoin(req, res) {
     const { ticker } = req.params;
-    const { refresh } = req.query;
+    const { refresh, scenario, seed } = req.query;
 
     try {
+      const scoringConfig = await scoringProfileService.resolveScoringConfig(
+        scoringEngine.parseOverrides(req.query),
+        req.query.profile
+      );
+
+      // Scenario runs are simulated: never cached, never stored in history
+      if (scenario) {
+        const result = await analyzerService.analyzeCoin(ticker, {
+          scoring: scoringConfig,
+          scenario,
+          seed
+        });
+
+        return res.json({
+          ...result,
+          from_cache: false
+        });
+      }
+
       if (refresh !== 'true') {
-        const cachedResult = await cache.get(`analysis:${ticker.toUpperCase()}`);
+        const cached = await getCachedAnalysis(ticker, scoringConfig);
         
-        if (cachedResult) {
+        if (cached) {
           logger.info(`Cache hit for ${ticker}`);
           return res.json({
-            ...cachedResult,
+            ...scoringEngine.applyScoringConfig(cached.value, scoringConfig),
             from_cache: true,
-            cache_expires_in: '1 hour'
+            cache: cacheStatus(cached)
           });
         }
       }
 
-      const result = await analyzerService.analyzeCoin(ticker);
-
-      await cache.set(`analysis:${ticker.toUpperCase()}`, result);
-      await db.saveAnalysis(result);
+      const { result } = await analysisRuns.run(ticker, scoringConfig);
 
       res.json({
         ...result,
@@ -34,11 +102,115 @@ class AnalyzerController {
 
     } catch (error) {
       logger.error('Analyze coin error:', error);
+
+      if (error.code === 'INVALID_SCORING_CONFIG') {
+        return res.status(400).json({
+          error: 'Invalid scoring config',
+          message: error.message
+        });
+      }
+
+      if (error.code === 'INVALID_SCENARIO') {
+        return res.status(400).json({
+          error: 'Invalid scenario',
+          message: error.message
+        });
+      }
+
+      if (error.code === 'PROFILE_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Profile not found',
+          message: error.message
+        });
+      }
+
+      if (error.code === 'AMBIGUOUS_TICKER') {
+        return res.status(300).json(ambiguousTicker(error));
+      }
       
       if (error.message.includes('not found')) {
         return res.status(404).json({
           error: 'Coin not found',
-          message: `${ticker} not found on CoinGecko. Please check the ticker symbol.`
+          message: `${ticker} not found on any market data provider. Please check the ticker symbol.`
+        });
+      }
+
+      res.status(500).json({
+        error: 'Analysis failed',
+        message: error.message
+      });
+    }
+  }
+
+  async analyzeContract(req, res) {
+    const { chain, address } = req.params;
+    const { refresh } = req.query;
+    const chainId = chain.toLowerCase();
+    const supportedChains = chainDetector.getSupportedChains().map(c => c.id);
+
+    if (!supportedChains.includes(chainId)) {
+      return res.status(400).json({
+        error: 'Unsupported chain',
+        message: `Chain must be one of: ${supportedChains.join(', ')}`
+      });
+    }
+
+    if (!chainDetector.validateContractAddress(address, chainId)) {
+      return res.status(400).json({
+        error: 'Invalid contract address',
+        message: `${address} is not a valid ${chainDetector.getChainDisplayName(chainId)} address`
+      });
+    }
+
+    const identifier = `${chainId}:${address}`;
+
+    try {
+      const scoringConfig = await scoringProfileService.resolveScoringConfig(
+        scoringEngine.parseOverrides(req.query),
+        req.query.profile
+      );
+
+      if (refresh !== 'true') {
+        const cached = await getCachedAnalysis(identifier, scoringConfig);
+        if (cached) {
+          return res.json({
+            ...scoringEngine.applyScoringConfig(cached.value, scoringConfig),
+            contract: { chain: chainId, address },
+            from_cache: true,
+            cache: cacheStatus(cached)
+          });
+        }
+      }
+
+      const { result } = await analysisRuns.run(identifier, scoringConfig);
+
+      res.json({
+        ...result,
+        contract: { chain: chainId, address },
+        from_cache: false
+      });
+
+    } catch (error) {
+      logger.error('Analyze contract error:', error);
+
+      if (error.code === 'INVALID_SCORING_CONFIG') {
+        return res.status(400).json({
+          error: 'Invalid scoring config',
+          message: error.message
+        });
+      }
+
+      if (error.code === 'PROFILE_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Profile not found',
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Token not found',
+          message: `No token found at ${address} on ${chainDetector.getChainDisplayName(chainId)}`
         });
       }
 
@@ -49,19 +221,167 @@ class AnalyzerController {
     }
   }
 
+  async streamAnalysis(req, res) {
+    const { ticker } = req.params;
+    const { refresh } = req.query;
+    let clientGone = false;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Analysis keeps running after a disconnect so the result still gets cached
+    req.on('close', () => {
+      clientGone = true;
+    });
+
+    const sendEvent = (event, data) => {
+      if (clientGone) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      const scoringConfig = await scoringProfileService.resolveScoringConfig(
+        scoringEngine.parseOverrides(req.query),
+        req.query.profile
+      );
+
+      if (refresh !== 'true') {
+        const cached = await getCachedAnalysis(ticker, scoringConfig);
+
+        if (cached) {
+          logger.info(`Cache hit for ${ticker} (stream)`);
+          sendEvent('complete', {
+            ...scoringEngine.applyScoringConfig(cached.value, scoringConfig),
+            from_cache: true,
+            cache: cacheStatus(cached)
+          });
+          return res.end();
+        }
+      }
+
+      // Joins a run already in flight for this coin, getting its phases too
+      const { result } = await analysisRuns.run(ticker, scoringConfig, (phase) => sendEvent('phase', phase));
+
+      sendEvent('complete', {
+        ...result,
+        from_cache: false
+      });
+      res.end();
+
+    } catch (error) {
+      logger.error('Stream analysis error:', error);
+
+      let failure = {
+        error: 'Analysis failed',
+        message: error.message
+      };
+
+      if (error.code === 'INVALID_SCORING_CONFIG') {
+        failure = { error: 'Invalid scoring config', message: error.message };
+      } else if (error.code === 'PROFILE_NOT_FOUND') {
+        failure = { error: 'Profile not found', message: error.message };
+      } else if (error.code === 'AMBIGUOUS_TICKER') {
+        failure = ambiguousTicker(error);
+      } else if (error.message.includes('not found')) {
+        failure = {
+          error: 'Coin not found',
+          message: `${ticker} not found on any market data provider. Please check the ticker symbol.`
+        };
+      }
+
+      sendEvent('failed', failure);
+      res.end();
+    }
+  }
+
+  async explainAnalysis(req, res) {
+    const { ticker } = req.params;
+    const { refresh } = req.query;
+
+    try {
+      const scoringConfig = await scoringProfileService.resolveScoringConfig(
+        scoringEngine.parseOverrides(req.query),
+        req.query.profile
+      );
+
+      const cached = refresh === 'true' ? null : await getCachedAnalysis(ticker, scoringConfig);
+      const result = cached
+        ? scoringEngine.applyScoringConfig(cached.value, scoringConfig)
+        : (await analysisRuns.run(ticker, scoringConfig)).result;
+
+      res.json({
+        ...scoringEngine.explain(result),
+        analyzed_at: result.metadata.analyzed_at,
+        from_cache: !!cached,
+        ...(cached && { cache: cacheStatus(cached) })
+      });
+
+    } catch (error) {
+      logger.error('Explain analysis error:', error);
+
+      if (error.code === 'INVALID_SCORING_CONFIG') {
+        return res.status(400).json({
+          error: 'Invalid scoring config',
+          message: error.message
+        });
+      }
+
+      if (error.code === 'PROFILE_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Profile not found',
+          message: error.message
+        });
+      }
+
+      if (error.code === 'AMBIGUOUS_TICKER') {
+        return res.status(300).json(ambiguousTicker(error));
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Coin not found',
+          message: `${ticker} not found on any market data provider. Please check the ticker symbol.`
+        });
+      }
+
+      res.status(500).json({
+        error: 'Explain failed',
+        message: error.message
+      });
+    }
+  }
+
   async getHistory(req, res) {
     const { ticker } = req.params;
-    const { limit = 10 } = req.query;
+    const { limit = 10, profile, model } = req.query;
+    const filters = profile !== undefined ? { profile: profile.toLowerCase() } : {};
 
     try {
-      const history = await db.getHistory(ticker.toUpperCase(), parseInt(limit));
+      if (model) {
+        filters.model = scoringEngine.getModel(model).id;
+      }
+
+      const history = await db.getHistory(ticker.toUpperCase(), parseInt(limit), filters);
+      // Rows saved before models were versioned have no model_version
+      const models = [...new Set(history.map(h => h.model_version || null))];
       
       res.json({
         ticker: ticker.toUpperCase(),
+        profile: filters.profile,
+        model: filters.model,
+        models,
+        mixed_models: models.length > 1,
         history: history.map(h => ({
           analyzed_at: h.created_at,
           overall_score: h.overall_score,
           classification: h.classification,
+          profile: h.profile || null,
+          model_version: h.model_version || null,
           scores: {
             tokenomics: h.tokenomics_score,
             liquidity: h.liquidity_score,
@@ -72,6 +392,13 @@ class AnalyzerController {
       });
 
     } catch (error) {
+      if (error.code === 'INVALID_SCORING_CONFIG') {
+        return res.status(400).json({
+          error: 'Invalid scoring model',
+          message: error.message
+        });
+      }
+
       logger.error('Get history error:', error);
       res.status(500).json({
         error: 'Failed to fetch history',
@@ -80,8 +407,53 @@ class AnalyzerController {
     }
   }
 
+  async rescoreHistory(req, res) {
+    const { ticker, since, until, limit } = req.query;
+
+    try {
+      const scoringConfig = await scoringProfileService.resolveScoringConfig(
+        scoringEngine.parseOverrides(req.query),
+        req.query.profile
+      );
+
+      const report = await rescoreService.rescoreHistory(scoringConfig, {
+        ticker,
+        since,
+        until,
+        limit
+      });
+
+      res.json({
+        ticker: ticker ? ticker.toUpperCase() : null,
+        ...report
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_SCORING_CONFIG') {
+        return res.status(400).json({
+          error: 'Invalid scoring config',
+          message: error.message
+        });
+      }
+
+      if (error.code === 'PROFILE_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Profile not found',
+          message: error.message
+        });
+      }
+
+      logger.error('Rescore history error:', error);
+      res.status(500).json({
+        error: 'Rescore failed',
+        message: error.message
+      });
+    }
+  }
+
   async compareCoins(req, res) {
     const { tickers } = req.body;
+    let scoringConfig;
 
     if (!tickers || !Array.isArray(tickers) || tickers.length < 2) {
       return res.status(400).json({
@@ -97,17 +469,33 @@ class AnalyzerController {
       });
     }
 
+    try {
+      scoringConfig = await scoringProfileService.resolveScoringConfig(
+        scoringEngine.parseOverrides(req.body),
+        req.body.profile
+      );
+    } catch (error) {
+      if (error.code === 'PROFILE_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Profile not found',
+          message: error.message
+        });
+      }
+
+      return res.status(400).json({
+        error: 'Invalid scoring config',
+        message: error.message
+      });
+    }
+
     try {
       const results = [];
       
       for (const ticker of tickers) {
-        let result = await cache.get(`analysis:${ticker.toUpperCase()}`);
-        
-        if (!result) {
-          result = await analyzerService.analyzeCoin(ticker);
-          await cache.set(`analysis:${ticker.toUpperCase()}`, result);
-          await db.saveAnalysis(result);
-        }
+        const cached = await getCachedAnalysis(ticker, scoringConfig);
+        const result = cached
+          ? scoringEngine.applyScoringConfig(cached.value, scoringConfig)
+          : (await analysisRuns.run(ticker, scoringConfig)).result;
         
         results.push({
           ticker: result.ticker,
@@ -125,11 +513,20 @@ class AnalyzerController {
       res.json({
         comparison: results,
         winner: results[0],
+        scoring_weights: scoringConfig.weights,
+        scoring_thresholds: scoringConfig.thresholds,
+        scoring_profile: scoringConfig.profile || null,
+        scoring_model: scoringConfig.model,
         analyzed_at: new Date().toISOString()
       });
 
     } catch (error) {
       logger.error('Compare coins error:', error);
+
+      if (error.code === 'AMBIGUOUS_TICKER') {
+        return res.status(300).json(ambiguousTicker(error));
+      }
+
       res.status(500).json({
         error: 'Comparison failed',
         message: error.message
@@ -137,6 +534,19 @@ class AnalyzerController {
     }
   }
 
+  async listModels(req, res) {
+    res.json({
+      default: scoringEngine.defaultModel,
+      models: scoringEngine.listModels()
+    });
+  }
+
+  async listScenarios(req, res) {
+    res.json({
+      scenarios: scenarioMock.list()
+    });
+  }
+
   async healthCheck(req, res) {
     try {
       const cacheStatus = cache.isConnected ? 'connected' : 'disconnected';
@@ -146,7 +556,9 @@ class AnalyzerController {
         timestamp: new Date().toISOString(),
         services: {
           cache: cacheStatus,
-          database: 'connected'
+          database: 'connected',
+          coin_registry: coinRegistry.getStatus(),
+          circuit_breakers: resilience.getStatus()
         }
       });
     } catch (error) {
@@ -161,21 +573,21 @@ class AnalyzerController {
     const { ticker } = req.params;
 
     try {
-      const cacheKey = `analysis:${ticker.toUpperCase()}`;
-      const deleted = await cache.del(cacheKey);
+      const identifier = analysisRuns.normalizeIdentifier(ticker);
+      const deleted = await cache.del(analysisRuns.cacheKey(identifier));
 
       if (deleted) {
         logger.info(`Cache cleared for ${ticker}`);
         res.json({
           success: true,
-          message: `Cache cleared for ${ticker.toUpperCase()}`,
-          ticker: ticker.toUpperCase()
+          message: `Cache cleared for ${identifier}`,
+          ticker: identifier
         });
       } else {
         res.json({
           success: false,
-          message: `No cache found for ${ticker.toUpperCase()}`,
-          ticker: ticker.toUpperCase()
+          message: `No cache found for ${identifier}`,
+          ticker: identifier
         });
       }
     } catch (error) {
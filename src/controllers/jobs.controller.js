@@ -0,0 +1,75 @@
+const batchJobService = require('../services/analyzer/batch-job.service');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+class JobsController {
+  async createAnalyzeJob(req, res) {
+    const { tickers, refresh } = req.body;
+
+    if (!tickers || !Array.isArray(tickers) || tickers.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'Please provide a non-empty array of tickers'
+      });
+    }
+
+    if (tickers.some(t => typeof t !== 'string' || t.trim() === '')) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'Every ticker must be a non-empty string'
+      });
+    }
+
+    if (tickers.length > config.jobs.maxTickers) {
+      return res.status(400).json({
+        error: 'Too many tickers',
+        message: `Maximum ${config.jobs.maxTickers} coins per job`
+      });
+    }
+
+    try {
+      const job = batchJobService.createAnalyzeJob(tickers, { refresh: refresh === true });
+
+      res.status(202).json({
+        job_id: job.job_id,
+        status: job.status,
+        total: job.progress.total,
+        created_at: job.created_at,
+        status_url: `/api/jobs/${job.job_id}`
+      });
+
+    } catch (error) {
+      logger.error('Create analyze job error:', error);
+      res.status(500).json({
+        error: 'Failed to create job',
+        message: error.message
+      });
+    }
+  }
+
+  async getJob(req, res) {
+    const { id } = req.params;
+
+    try {
+      const job = batchJobService.getJob(id);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: `No job with id ${id}`
+        });
+      }
+
+      res.json(job);
+
+    } catch (error) {
+      logger.error('Get job error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch job',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new JobsController();
@@ -0,0 +1,86 @@
+const scoringProfileService = require('../services/analyzer/scoring-profile.service');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const ERROR_RESPONSES = {
+  PROFILE_NOT_FOUND: { status: 404, error: 'Profile not found' },
+  PROFILE_EXISTS: { status: 409, error: 'Profile already exists' },
+  INVALID_PROFILE: { status: 400, error: 'Invalid profile' },
+  INVALID_SCORING_CONFIG: { status: 400, error: 'Invalid scoring config' }
+};
+
+function sendError(res, error, fallback) {
+  const known = ERROR_RESPONSES[error.code];
+
+  if (known) {
+    return res.status(known.status).json({
+      error: known.error,
+      message: error.message
+    });
+  }
+
+  logger.error(`${fallback}:`, error);
+  res.status(500).json({
+    error: fallback,
+    message: error.message
+  });
+}
+
+class ProfilesController {
+  async listProfiles(req, res) {
+    try {
+      const profiles = await scoringProfileService.listProfiles();
+
+      res.json({
+        profiles,
+        defaults: {
+          weights: config.scoring.weights,
+          thresholds: config.scoring.thresholds
+        }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to list profiles');
+    }
+  }
+
+  async getProfile(req, res) {
+    try {
+      const profile = await scoringProfileService.getProfile(req.params.name);
+      res.json(profile);
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch profile');
+    }
+  }
+
+  async createProfile(req, res) {
+    try {
+      const profile = await scoringProfileService.createProfile(req.body);
+      res.status(201).json(profile);
+    } catch (error) {
+      sendError(res, error, 'Failed to create profile');
+    }
+  }
+
+  async updateProfile(req, res) {
+    try {
+      const profile = await scoringProfileService.updateProfile(req.params.name, req.body);
+      res.json(profile);
+    } catch (error) {
+      sendError(res, error, 'Failed to update profile');
+    }
+  }
+
+  async deleteProfile(req, res) {
+    try {
+      await scoringProfileService.deleteProfile(req.params.name);
+      res.json({
+        success: true,
+        message: `Profile ${req.params.name} deleted`
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete profile');
+    }
+  }
+}
+
+module.exports = new ProfilesController();
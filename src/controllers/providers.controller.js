@@ -0,0 +1,39 @@
+const providers = require('../services/providers');
+const logger = require('../utils/logger');
+
+class ProvidersController {
+  async listProviders(req, res) {
+    const capability = req.query.capability || null;
+
+    if (capability && !providers.getCapabilities().includes(capability)) {
+      return res.status(400).json({
+        error: 'Invalid capability',
+        message: `Expected one of: ${providers.getCapabilities().join(', ')}`
+      });
+    }
+
+    try {
+      const list = await providers.list(capability);
+      const active = {};
+
+      for (const cap of providers.getCapabilities()) {
+        active[cap] = providers.byCapability(cap).map(p => p.name);
+      }
+
+      res.json({
+        providers: list,
+        active_by_capability: active,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('List providers error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ProvidersController();
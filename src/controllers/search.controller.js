@@ -0,0 +1,41 @@
+const coinRegistry = require('../services/real/coin-registry.service');
+const logger = require('../utils/logger');
+
+class SearchController {
+  async searchCoins(req, res) {
+    const query = (req.query.q || '').trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    if (!query) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'Please provide a search query (?q=)'
+      });
+    }
+
+    try {
+      const coins = await coinRegistry.search(query, limit);
+
+      res.json({
+        query,
+        results: coins.map(coin => ({
+          id: coin.id,
+          symbol: coin.symbol.toUpperCase(),
+          name: coin.name,
+          market_cap_rank: coin.market_cap_rank,
+          analyze_url: `/api/analyze/coingecko:${coin.id}`
+        })),
+        registry: coinRegistry.getStatus()
+      });
+
+    } catch (error) {
+      logger.error('Search coins error:', error);
+      res.status(503).json({
+        error: 'Coin registry unavailable',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SearchController();
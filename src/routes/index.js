@@ -1,23 +1,60 @@
 const express = require('express');
 const analyzerController = require('../controllers/analyzer.controller');
+const jobsController = require('../controllers/jobs.controller');
+const profilesController = require('../controllers/profiles.controller');
+const searchController = require('../controllers/search.controller');
+const providersController = require('../controllers/providers.controller');
 
 const router = express.Router();
 
 router.get('/health', analyzerController.healthCheck);
+router.get('/analyze/contract/:chain/:address', analyzerController.analyzeContract);
 router.get('/analyze/:ticker', analyzerController.analyzeCoin);
+router.get('/analyze/:ticker/stream', analyzerController.streamAnalysis);
+router.get('/analyze/:ticker/explain', analyzerController.explainAnalysis);
 router.get('/history/:ticker', analyzerController.getHistory);
+router.get('/rescore', analyzerController.rescoreHistory);
+router.get('/models', analyzerController.listModels);
+router.get('/scenarios', analyzerController.listScenarios);
 router.post('/compare', analyzerController.compareCoins);
+router.get('/search', searchController.searchCoins);
+router.get('/providers', providersController.listProviders);
+router.post('/jobs/analyze', jobsController.createAnalyzeJob);
+router.get('/jobs/:id', jobsController.getJob);
+router.get('/profiles', profilesController.listProfiles);
+router.post('/profiles', profilesController.createProfile);
+router.get('/profiles/:name', profilesController.getProfile);
+router.put('/profiles/:name', profilesController.updateProfile);
+router.delete('/profiles/:name', profilesController.deleteProfile);
 
 router.get('/', (req, res) => {
   res.json({
     service: 'Crypto Fundamental Analyzer API',
     version: '1.0.0',
     endpoints: {
-      analyze: 'GET /api/analyze/:ticker - Analyze a single coin',
+      analyze: 'GET /api/analyze/:ticker - Analyze a single coin (cached results report fetched_at, remaining TTL and staleness; stale ones are refreshed in the background)',
       analyze_refresh: 'GET /api/analyze/:ticker?refresh=true - Force refresh analysis',
+      analyze_contract: 'GET /api/analyze/contract/:chain/:address - Analyze a token by contract address (chains: ethereum, bsc, polygon, solana, avalanche, arbitrum, optimism)',
+      search: 'GET /api/search?q=uni&limit=10 - Autocomplete coins by symbol, name or id from the local coin registry',
+      analyze_identifier: 'GET /api/analyze/coingecko:<id> or /api/analyze/<chain>:<contract> - Analyze an exact coin when a symbol is ambiguous (300 with candidates)',
+      analyze_weights: 'GET /api/analyze/:ticker?weights=tokenomics:0.4,liquidity:0.2,social:0.1,onchain:0.3&green=7&yellow=5 - Custom scoring weights/thresholds',
+      analyze_stream: 'GET /api/analyze/:ticker/stream - Stream analysis phases as Server-Sent Events',
+      analyze_explain: 'GET /api/analyze/:ticker/explain - Per-rule score contributions and how they add up to the final score',
       history: 'GET /api/history/:ticker - Get analysis history',
-      compare: 'POST /api/compare - Compare multiple coins (body: {tickers: []})',
-      health: 'GET /api/health - Service health check'
+      compare: 'POST /api/compare - Compare multiple coins (body: {tickers: [], weights?, thresholds?})',
+      analyze_profile: 'GET /api/analyze/:ticker?profile=name - Score with a saved scoring profile',
+      history_profile: 'GET /api/history/:ticker?profile=name - History produced by one scoring profile',
+      history_model: 'GET /api/history/:ticker?model=v2 - History scored by one scoring model (entries are annotated with model_version)',
+      analyze_scenario: 'GET /api/analyze/:ticker?scenario=rug_pull&seed=42 - Score reproducible simulated data for a named scenario (not cached or stored)',
+      scenarios: 'GET /api/scenarios - Available mock data scenarios',
+      models: 'GET /api/models - Available scoring models (select with ?model=v1 on analyze/compare/rescore)',
+      rescore: 'GET /api/rescore?ticker=BTC&profile=name&since=2025-01-01&limit=100 - Replay stored analyses through the current scoring (old vs new)',
+      profiles: 'GET|POST /api/profiles - List or create scoring profiles (body: {name, description?, weights, thresholds?})',
+      profile: 'GET|PUT|DELETE /api/profiles/:name - Read, update or delete a scoring profile',
+      jobs_analyze: 'POST /api/jobs/analyze - Start a background batch analysis (body: {tickers: [], refresh?})',
+      jobs_status: 'GET /api/jobs/:id - Poll batch job progress, results and errors',
+      providers: 'GET /api/providers?capability=holders - Data source plugins with capabilities, missing config, last-hour health and remaining rate-limit quota',
+      health: 'GET /api/health - Service health check, including per-provider circuit breaker state (closed/open/half_open)'
     },
     documentation: 'See README.md for full documentation'
   });
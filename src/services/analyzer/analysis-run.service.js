@@ -0,0 +1,106 @@
+const analyzerService = require('./analyzer.service');
+const scoringEngine = require('./scoring.engine');
+const cache = require('../../utils/cache');
+const db = require('../../utils/database');
+const SingleFlight = require('../../utils/single-flight');
+const logger = require('../../utils/logger');
+
+/**
+ * Analysis Run Service
+ * Full-pipeline analyses shared between everyone asking for the same coin:
+ * API requests and batch jobs that overlap join one in-flight run, whose
+ * result is cached and stored once
+ */
+class AnalysisRunService {
+  constructor() {
+    this.inflight = new SingleFlight();
+    // Phase events ({ emitted, listeners }) keyed by the in-flight run's
+    // promise, so they live exactly as long as SingleFlight hands it out
+    this.phases = new WeakMap();
+  }
+
+  /**
+   * Plain tickers are case-insensitive, but `chain:address` and
+   * `coingecko:id` identifiers are kept as given since Solana mints are
+   * case-sensitive
+   */
+  normalizeIdentifier(identifier) {
+    const value = identifier.trim();
+    return value.includes(':') ? value : value.toUpperCase();
+  }
+
+  /**
+   * Cache key of an identifier's analysis
+   */
+  cacheKey(identifier) {
+    return `analysis:${this.normalizeIdentifier(identifier)}`;
+  }
+
+  /**
+   * Run the pipeline for an identifier, or join the one already running for
+   * it (same profile and model). Each caller re-applies its own ad-hoc
+   * weights/thresholds to the shared result.
+   * @param {Function} [onPhase] - Gets the run's phase events, including those
+   *   emitted before this caller joined
+   * @returns {Object} { result, storeError } - storeError is set when the
+   *   analysis succeeded but caching or saving it failed
+   */
+  async run(identifier, scoringConfig, onPhase = null) {
+    const key = `${this.normalizeIdentifier(identifier)}:${scoringConfig.profile || 'default'}:${scoringConfig.model}`;
+
+    const joining = this.inflight.has(key);
+    if (joining) {
+      logger.info(`Joining in-flight analysis for ${identifier}`);
+    }
+
+    const ownPhases = { emitted: [], listeners: new Set() };
+    const run = this.inflight.run(key, () => this.execute(identifier, scoringConfig, ownPhases));
+    if (!joining) this.phases.set(run, ownPhases);
+
+    const phases = this.phases.get(run);
+    if (onPhase) {
+      phases.emitted.forEach(onPhase);
+      phases.listeners.add(onPhase);
+    }
+
+    try {
+      const { analysis, storeError } = await run;
+
+      return {
+        result: scoringEngine.applyScoringConfig(analysis, scoringConfig),
+        storeError
+      };
+    } finally {
+      phases.listeners.delete(onPhase);
+    }
+  }
+
+  /**
+   * Analyze, then cache and store the result. Storing is best effort: the
+   * analysis is returned to every caller either way.
+   * @private
+   */
+  async execute(identifier, scoringConfig, phases) {
+    const analysis = await analyzerService.analyzeCoin(identifier, {
+      scoring: scoringConfig,
+      onPhase: (phase) => {
+        phases.emitted.push(phase);
+        phases.listeners.forEach(listener => listener(phase));
+      }
+    });
+
+    let storeError = null;
+
+    try {
+      await cache.setEntry(this.cacheKey(identifier), analysis);
+      await db.saveAnalysis(analysis);
+    } catch (error) {
+      logger.warn(`Could not store analysis for ${identifier}:`, error.message);
+      storeError = error;
+    }
+
+    return { analysis, storeError };
+  }
+}
+
+module.exports = new AnalysisRunService();
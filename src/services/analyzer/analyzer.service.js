@@ -1,40 +1,146 @@
-const coingeckoService = require("../real/coingecko.service");
-const defillamaService = require("../real/defilama.service");
-const twitterService = require("../real/twitter.service");
+const marketDataService = require("./market-data.service");
+const providers = require("../providers");
 const socialEnhanced = require("./social-enhanced.service");
 const chainDetector = require("./chain-detector.service");
 const onchainEnhancedService = require("./onchain-enhanced.service");
 const socialMock = require("../mock/social.mock");
 const onchainMock = require("../mock/onchain.mock");
+const scenarioMock = require("../mock/scenario.mock");
 const scoringEngine = require("./scoring.engine");
 const logger = require("../../utils/logger");
 const config = require("../../config");
 
 class AnalyzerService {
-  async analyzeCoin(ticker) {
+  async analyzeCoin(ticker, options = {}) {
     logger.info(`Starting analysis for ${ticker}`);
     const startTime = Date.now();
+    const scoringConfig = options.scoring || scoringEngine.resolveScoringConfig();
+    const model = scoringEngine.getModel(scoringConfig.model);
+    const phaseTimings = {};
+    let phaseStart = startTime;
+
+    // Report a finished phase (timing + partial results) to the optional listener
+    const completePhase = (phase, data = {}) => {
+      const durationMs = Date.now() - phaseStart;
+      phaseTimings[phase] = durationMs;
+      phaseStart = Date.now();
+
+      if (!options.onPhase) return;
+      try {
+        options.onPhase({
+          phase,
+          duration_ms: durationMs,
+          elapsed_ms: Date.now() - startTime,
+          data
+        });
+      } catch (error) {
+        logger.warn(`[${ticker}] Phase listener failed for ${phase}:`, error.message);
+      }
+    };
 
     try {
-      logger.info(`[${ticker}] Fetching CoinGecko data...`);
-      const coinData = await coingeckoService.getCoinData(ticker);
+      // A named scenario replaces every provider with reproducible mock inputs
+      const scenario = options.scenario
+        ? scenarioMock.build(ticker, options.scenario, options.seed)
+        : null;
+
+      logger.info(`[${ticker}] Fetching market data...`);
+      const coinData = await this.fetchInput(scenario, "coinData", () =>
+        marketDataService.getCoinData(ticker)
+      );
+
+      // coingecko:<id> / <chain>:<contract> resolve to the coin's own symbol
+      if (!scenario && marketDataService.isExplicitIdentifier(ticker)) {
+        logger.info(`[${ticker}] Resolved to ${coinData.symbol} (${coinData.id})`);
+        ticker = coinData.symbol;
+      }
+
+      // Liquidity only needs market data
+      const liquidityResult = scoringEngine.scoreLiquidity(coinData);
+      const details = {
+        liquidity: {
+          ...liquidityResult.details,
+          flags: liquidityResult.flags
+        }
+      };
+      completePhase("market_data", {
+        provider: coinData.provider,
+        name: coinData.name,
+        symbol: coinData.symbol,
+        market_data: this.buildMarketData(coinData),
+        scores: { liquidity: liquidityResult.score },
+        details: { liquidity: details.liquidity }
+      });
+
+      logger.info(`[${ticker}] Fetching TokenUnlocks schedule...`);
+      const tokenUnlocks = providers.get("tokenunlocks");
+      const unlockData = await this.fetchInput(scenario, "unlockData", () =>
+        tokenUnlocks ? tokenUnlocks.getUnlockSchedule(ticker) : null
+      );
+      const tokenomicsResult = scoringEngine.scoreTokenomics(
+        coinData,
+        unlockData
+      );
+      details.tokenomics = {
+        ...tokenomicsResult.details,
+        flags: tokenomicsResult.flags
+      };
+      completePhase("token_unlocks", {
+        scores: { tokenomics: tokenomicsResult.score },
+        details: { tokenomics: details.tokenomics }
+      });
 
       logger.info(`[${ticker}] Fetching DefiLlama data...`);
-      const tvlData = await defillamaService.getProtocolTVL(ticker);
+      const defillama = providers.get("defillama");
+      const tvlData = await this.fetchInput(scenario, "tvlData", () =>
+        defillama ? defillama.getProtocolTVL(ticker, coinData.market_cap) : null
+      );
+      const defiMetrics = this.buildDefiMetrics(tvlData);
+      completePhase("defillama", { defi: defiMetrics });
 
       logger.info(
         `[${ticker}] Fetching Social data (Twitter scraping - old method)...`
       );
-      const twitterData = await twitterService.scrapeBasicStats(ticker);
+      const twitterScraper = providers.get("twitter_scraper");
+      const twitterData = await this.fetchInput(scenario, "twitterData", () =>
+        twitterScraper
+          ? twitterScraper.scrapeBasicStats(ticker)
+          : { followers: 0, data_source: "disabled" }
+      );
+      completePhase("twitter_scrape", {
+        followers: twitterData.followers,
+        data_source: twitterData.data_source
+      });
 
       logger.info(`[${ticker}] Fetching Enhanced Social metrics (NEW APIs)...`);
       // NEW: Use enhanced social service instead of mock
-      const socialData = await socialEnhanced.getSocialMetrics(
-        ticker,
-        coinData.name,
-        coinData.market_cap
+      const socialData = await this.fetchInput(scenario, "socialData", () =>
+        socialEnhanced.getSocialMetrics(
+          ticker,
+          coinData.name,
+          coinData.market_cap
+        )
       );
-      const chainInfo = chainDetector.detectChains(coinData);
+      const socialResult = scoringEngine.scoreSocial(socialData);
+      details.social = {
+        ...socialResult.details,
+        flags: socialResult.flags,
+        data_source: socialData.data_source
+      };
+      completePhase("social_enhanced", {
+        scores: { social: socialResult.score },
+        details: { social: details.social }
+      });
+
+      const chainInfo = scenario
+        ? scenario.onchainData.chain_info
+        : chainDetector.detectChains(coinData);
+      completePhase("chain_detection", {
+        primary: chainInfo.primary,
+        detected: chainInfo.detected,
+        is_multichain: chainInfo.is_multichain,
+        native: chainInfo.native || false
+      });
       
       logger.info(`[${ticker}] Generating on-chain metrics...`);
       // const onchainData = onchainMock.generateOnchainMetrics(
@@ -44,17 +150,22 @@ class AnalyzerService {
       //   coinData.total_volume_24h
       // );
 
-      const onchainData = await onchainEnhancedService.getOnChainMetrics(
-        ticker,
-        coinData
+      const onchainData = await this.fetchInput(scenario, "onchainData", () =>
+        onchainEnhancedService.getOnChainMetrics(ticker, coinData)
       );
+      const onchainResult = model.scoreOnchain(onchainData, tvlData);
+      details.onchain = {
+        ...onchainResult.details,
+        flags: onchainResult.flags,
+        data_source: onchainData.data_source,
+        attempts: onchainData.attempts
+      };
+      completePhase("onchain", {
+        scores: { onchain: onchainResult.score },
+        details: { onchain: details.onchain }
+      });
 
       logger.info(`[${ticker}] Calculating scores...`);
-      const tokenomicsResult = scoringEngine.scoreTokenomics(coinData);
-      const liquidityResult = scoringEngine.scoreLiquidity(coinData);
-      const socialResult = scoringEngine.scoreSocial(socialData);
-      const onchainResult = scoringEngine.scoreOnchain(onchainData);
-
       const scores = {
         tokenomics: tokenomicsResult.score,
         liquidity: liquidityResult.score,
@@ -62,8 +173,18 @@ class AnalyzerService {
         onchain: onchainResult.score
       };
 
-      const overallScore = scoringEngine.calculateOverallScore(scores);
-      const classification = scoringEngine.classifyScore(overallScore);
+      const overallScore = scoringEngine.calculateOverallScore(
+        scores,
+        scoringConfig.weights
+      );
+      const classification = scoringEngine.classifyScore(
+        overallScore,
+        scoringConfig.thresholds
+      );
+      completePhase("scoring", {
+        overall_score: overallScore,
+        classification: classification.level
+      });
 
       const result = {
         ticker: ticker.toUpperCase(),
@@ -76,38 +197,39 @@ class AnalyzerService {
         scores: scores,
 
         details: {
-          tokenomics: {
-            ...tokenomicsResult.details,
-            flags: tokenomicsResult.flags
-          },
-          liquidity: {
-            ...liquidityResult.details,
-            flags: liquidityResult.flags
-          },
-          social: {
-            ...socialResult.details,
-            flags: socialResult.flags,
-            data_source: socialData.data_source
-          },
-          onchain: {
-            ...onchainResult.details,
-            flags: onchainResult.flags,
-            data_source: onchainData.data_source
-          }
+          tokenomics: details.tokenomics,
+          liquidity: details.liquidity,
+          social: details.social,
+          onchain: details.onchain
         },
 
-        market_data: {
-          price_usd: coinData.price_usd,
-          market_cap: coinData.market_cap,
-          volume_24h: coinData.total_volume_24h,
-          circulating_supply: coinData.circulating_supply,
-          total_supply: coinData.total_supply,
-          max_supply: coinData.max_supply
+        score_breakdown: {
+          tokenomics: tokenomicsResult.breakdown,
+          liquidity: liquidityResult.breakdown,
+          social: socialResult.breakdown,
+          onchain: onchainResult.breakdown
         },
 
+        market_data: this.buildMarketData(coinData),
+
+        defi: defiMetrics,
+
         data_sources: {
-          price_liquidity: "real (CoinGecko API)",
-          tvl: tvlData ? "real (DefiLlama API)" : "not available",
+          price_liquidity:
+            coinData.listed === false
+              ? `not listed (${coinData.provider_label}, no market data)`
+              : `real (${coinData.provider_label}${
+                  coinData.fallback ? ", fallback" : ""
+                })`,
+          tvl: tvlData
+            ? "real (DefiLlama API)"
+            : defillama
+            ? "not available"
+            : "disabled",
+          token_unlocks:
+            unlockData?.data_source === "tokenunlocks_api"
+              ? "real (TokenUnlocks API)"
+              : "estimated (not scored)",
           twitter: twitterData.data_source,
           social_sentiment: socialData.data_source,
           onchain_activity: onchainData.data_source
@@ -116,15 +238,41 @@ class AnalyzerService {
         metadata: {
           analyzed_at: new Date().toISOString(),
           analysis_duration_ms: Date.now() - startTime,
-          scoring_weights: config.scoring.weights
+          phase_durations_ms: phaseTimings,
+          scoring_weights: scoringConfig.weights,
+          scoring_thresholds: scoringConfig.thresholds,
+          scoring_profile: scoringConfig.profile || null,
+          scoring_model: model.id
         },
 
         disclaimer: "Some metrics are estimated. Not financial advice. DYOR."
       };
 
+      if (scenario) {
+        for (const source of Object.keys(result.data_sources)) {
+          result.data_sources[source] = `simulated (scenario: ${options.scenario})`;
+        }
+        result.metadata.scenario = options.scenario;
+        result.metadata.seed = options.seed || config.mock.seed;
+      }
+
+      // Raw inputs let stored analyses be re-scored later without refetching.
+      // Non-enumerable so they stay out of API responses and the cache.
+      Object.defineProperty(result, "scoring_inputs", {
+        value: {
+          coin: coinData,
+          unlocks: unlockData,
+          tvl: tvlData,
+          social: socialData,
+          onchain: onchainData
+        },
+        enumerable: false
+      });
+
       logger.info(`Analysis completed for ${ticker}`, {
         overall_score: overallScore,
         classification: classification.level,
+        model: model.id,
         duration: Date.now() - startTime
       });
 
@@ -135,21 +283,77 @@ class AnalyzerService {
     }
   }
 
-  async analyzeBatch(tickers, maxConcurrent = 3) {
+  /**
+   * Scenario input when running a scenario, else the provider fetch
+   * @private
+   */
+  async fetchInput(scenario, key, fetch) {
+    return scenario ? scenario[key] : fetch();
+  }
+
+  buildMarketData(coinData) {
+    return {
+      price_usd: coinData.price_usd,
+      market_cap: coinData.market_cap,
+      volume_24h: coinData.total_volume_24h,
+      circulating_supply: coinData.circulating_supply,
+      total_supply: coinData.total_supply,
+      max_supply: coinData.max_supply
+    };
+  }
+
+  buildDefiMetrics(tvlData) {
+    if (!tvlData) return null;
+
+    return {
+      protocol: tvlData.name,
+      category: tvlData.category,
+      chain: tvlData.chain,
+      tvl: tvlData.tvl,
+      mcap_tvl_ratio:
+        tvlData.mcap_tvl_ratio !== null
+          ? parseFloat(tvlData.mcap_tvl_ratio.toFixed(2))
+          : null,
+      tvl_change_1d: tvlData.change_1d,
+      tvl_change_7d: tvlData.change_7d,
+      tvl_change_1m: tvlData.change_1m
+    };
+  }
+
+  /**
+   * Analyze tickers in chunks of maxConcurrent
+   * @param {Function} [analyze] - (ticker) => Promise<result>, analyzeCoin by default
+   */
+  async analyzeBatch(tickers, maxConcurrent = 3, onProgress = null, analyze = null) {
     logger.info(`Batch analysis for ${tickers.length} coins`);
+    const analyzeTicker = analyze || ((ticker) => this.analyzeCoin(ticker));
 
     const results = [];
     const errors = [];
 
+    // Progress callbacks must never break the batch itself
+    const notify = async (event) => {
+      if (!onProgress) return;
+      try {
+        await onProgress(event);
+      } catch (error) {
+        logger.warn(`Batch progress handler failed for ${event.ticker}:`, error.message);
+      }
+    };
+
     for (let i = 0; i < tickers.length; i += maxConcurrent) {
       const batch = tickers.slice(i, i + maxConcurrent);
 
       const batchPromises = batch.map(async (ticker) => {
+        await notify({ ticker, status: "running" });
+
         try {
-          const result = await this.analyzeCoin(ticker);
+          const result = await analyzeTicker(ticker);
           results.push(result);
+          await notify({ ticker, status: "completed", result });
         } catch (error) {
           errors.push({ ticker, error: error.message });
+          await notify({ ticker, status: "failed", error });
         }
       });
 
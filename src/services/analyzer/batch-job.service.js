@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const analyzerService = require('./analyzer.service');
+const analysisRuns = require('./analysis-run.service');
+const scoringEngine = require('./scoring.engine');
+const cache = require('../../utils/cache');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+
+/**
+ * Batch Job Service
+ * Runs large batch analyses in the background so callers can poll for
+ * per-ticker progress instead of holding a single HTTP request open
+ */
+class BatchJobService {
+  constructor() {
+    this.jobs = new Map();
+    this.maxTickers = config.jobs.maxTickers;
+    this.concurrency = config.jobs.concurrency;
+    this.retentionMs = config.jobs.retentionMs;
+  }
+
+  /**
+   * Create an analysis job and start it in the background
+   * @param {Array<string>} tickers - Tickers to analyze
+   * @param {Object} options - { refresh: skip cached analyses }
+   * @returns {Object} Job snapshot
+   */
+  createAnalyzeJob(tickers, options = {}) {
+    this.pruneJobs();
+
+    const uniqueTickers = [...new Set(tickers.map(t => analysisRuns.normalizeIdentifier(t)))];
+    const now = new Date().toISOString();
+
+    const job = {
+      id: crypto.randomUUID(),
+      type: 'analyze',
+      status: 'queued',
+      refresh: !!options.refresh,
+      created_at: now,
+      started_at: null,
+      finished_at: null,
+      tickers: new Map(uniqueTickers.map(ticker => [ticker, { ticker, status: 'pending' }])),
+      results: [],
+      errors: []
+    };
+
+    this.jobs.set(job.id, job);
+    logger.info(`[BatchJob] Created job ${job.id} for ${uniqueTickers.length} tickers`);
+
+    // Fire and forget - progress is tracked on the job itself
+    this.runJob(job).catch(error => {
+      logger.error(`[BatchJob] Job ${job.id} crashed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      job.finished_at = new Date().toISOString();
+    });
+
+    return this.serializeJob(job);
+  }
+
+  /**
+   * Get job snapshot by id
+   * @param {string} id - Job id
+   * @returns {Object|null} Job snapshot
+   */
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.serializeJob(job) : null;
+  }
+
+  /**
+   * Execute a job: serve cached analyses first, then analyze the rest in
+   * chunks. Each ticker joins the API's in-flight run for the same coin, if any.
+   * @private
+   */
+  async runJob(job) {
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+
+    const scoringConfig = scoringEngine.resolveScoringConfig();
+    const storeErrors = new Map();
+    const pending = [];
+
+    for (const ticker of job.tickers.keys()) {
+      // Stale entries are re-analyzed with the rest rather than served
+      const cached = job.refresh ? null : await cache.getEntry(analysisRuns.cacheKey(ticker));
+
+      if (cached && !cached.stale && scoringEngine.matchesModel(cached.value, scoringConfig.model)) {
+        this.markCompleted(job, ticker, cached.value, true);
+      } else {
+        pending.push(ticker);
+      }
+    }
+
+    if (pending.length > 0) {
+      await analyzerService.analyzeBatch(pending, this.concurrency, async (event) => {
+        if (event.status === 'running') {
+          this.updateTicker(job, event.ticker, {
+            status: 'running',
+            started_at: new Date().toISOString()
+          });
+        } else if (event.status === 'completed') {
+          // The analysis succeeded; failing to store it only earns a warning
+          const storeError = storeErrors.get(event.ticker);
+          const warning = storeError ? `Result not stored: ${storeError.message}` : null;
+
+          this.markCompleted(job, event.ticker, event.result, false, warning);
+        } else if (event.status === 'failed') {
+          this.markFailed(job, event.ticker, event.error);
+        }
+      }, async (ticker) => {
+        const { result, storeError } = await analysisRuns.run(ticker, scoringConfig);
+        if (storeError) storeErrors.set(ticker, storeError);
+        return result;
+      });
+    }
+
+    job.status = 'completed';
+    job.finished_at = new Date().toISOString();
+
+    logger.info(`[BatchJob] Job ${job.id} finished`, {
+      completed: job.results.length,
+      failed: job.errors.length
+    });
+  }
+
+  /**
+   * @private
+   */
+  markCompleted(job, ticker, result, fromCache, warning = null) {
+    this.updateTicker(job, ticker, {
+      status: 'completed',
+      finished_at: new Date().toISOString(),
+      from_cache: fromCache,
+      ...(warning && { warning })
+    });
+
+    job.results.push({
+      ticker: result.ticker,
+      name: result.name,
+      overall_score: result.overall_score,
+      classification: result.classification,
+      scores: result.scores,
+      price_usd: result.market_data.price_usd,
+      market_cap: result.market_data.market_cap,
+      from_cache: fromCache
+    });
+  }
+
+  /**
+   * @private
+   */
+  markFailed(job, ticker, error) {
+    this.updateTicker(job, ticker, {
+      status: 'failed',
+      finished_at: new Date().toISOString(),
+      error: error.message
+    });
+
+    job.errors.push({ ticker, error: error.message });
+  }
+
+  /**
+   * @private
+   */
+  updateTicker(job, ticker, changes) {
+    const entry = job.tickers.get(ticker) || { ticker };
+    job.tickers.set(ticker, { ...entry, ...changes });
+  }
+
+  /**
+   * Convert internal job state to API response shape
+   * @private
+   */
+  serializeJob(job) {
+    const entries = [...job.tickers.values()];
+    const countBy = (status) => entries.filter(e => e.status === status).length;
+    const finished = countBy('completed') + countBy('failed');
+
+    return {
+      job_id: job.id,
+      type: job.type,
+      status: job.status,
+      error: job.error,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+      progress: {
+        total: entries.length,
+        pending: countBy('pending'),
+        running: countBy('running'),
+        completed: countBy('completed'),
+        failed: countBy('failed'),
+        percentage: entries.length > 0
+          ? parseFloat(((finished / entries.length) * 100).toFixed(1))
+          : 100
+      },
+      tickers: entries,
+      results: [...job.results].sort((a, b) => b.overall_score - a.overall_score),
+      errors: job.errors
+    };
+  }
+
+  /**
+   * Drop finished jobs older than the retention window
+   * @private
+   */
+  pruneJobs() {
+    const cutoff = Date.now() - this.retentionMs;
+
+    for (const [id, job] of this.jobs) {
+      if (job.finished_at && new Date(job.finished_at).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = new BatchJobService();
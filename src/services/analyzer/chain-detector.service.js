@@ -118,7 +118,7 @@ class ChainDetectorService {
       'ethereum': 'etherscan',
       'bsc': 'bscscan',
       'polygon': 'polygonscan',
-      'solana': 'solscan',
+      'solana': 'solana_rpc',
       'avalanche': 'covalent',
       'arbitrum': 'covalent',
       'optimism': 'covalent',
@@ -251,7 +251,7 @@ class ChainDetectorService {
       {
         id: 'solana',
         name: 'Solana',
-        service: 'solscan',
+        service: 'solana_rpc',
         type: 'Non-EVM'
       },
       {
@@ -0,0 +1,172 @@
+const coingeckoService = require('../real/coingecko.service');
+const providers = require('../providers');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+
+/**
+ * Market Data Service
+ * Fetches price/supply/liquidity data from the configured providers in
+ * order, falling back when one is rate-limited, down or misses the coin
+ */
+class MarketDataService {
+  constructor() {
+    // Explorer providers with token metadata (keyed by CoinGecko platform id)
+    // for contracts no market data provider lists yet
+    this.tokenInfoProviders = {
+      ethereum: 'etherscan',
+      'binance-smart-chain': 'bscscan',
+      'polygon-pos': 'polygonscan'
+    };
+
+    this.order = config.marketData.providers.filter(name => {
+      if (!providers.getDefinition(name)?.capabilities.includes('market')) {
+        logger.warn(`[MarketData] Ignoring unknown provider "${name}"`);
+        return false;
+      }
+      return true;
+    });
+
+    if (this.order.length === 0) {
+      this.order = ['coingecko'];
+    }
+  }
+
+  /**
+   * "coingecko:<id>" / "<chain>:<contract>" rather than a plain symbol
+   */
+  isExplicitIdentifier(ticker) {
+    return coingeckoService.isExplicitIdentifier(ticker);
+  }
+
+  /**
+   * Get coin data from the first provider that answers
+   * @param {string} ticker - Coin ticker
+   * @returns {Object} CoinGecko-shaped coin data plus { provider, provider_label, fallback }
+   * @throws {Error} code AMBIGUOUS_TICKER when the symbol needs disambiguation,
+   *   "not found" when every provider misses the coin, else the last error
+   */
+  async getCoinData(ticker) {
+    const attempts = [];
+    let lastError = null;
+
+    for (const name of this.order) {
+      const provider = providers.getDefinition(name);
+
+      if (!providers.isActive(name)) {
+        attempts.push({ provider: name, status: 'skipped', reason: providers.getInactiveReason(name) });
+        continue;
+      }
+
+      if (!provider.supports(ticker)) {
+        attempts.push({ provider: name, status: 'skipped', reason: 'identifier not supported' });
+        continue;
+      }
+
+      try {
+        const coinData = await provider.service.getCoinData(ticker);
+        attempts.push({ provider: name, status: 'ok' });
+
+        if (attempts.length > 1) {
+          logger.info(`[MarketData] ${ticker} served by fallback provider ${name}`, { attempts });
+        }
+
+        return {
+          ...coinData,
+          provider: name,
+          provider_label: provider.label,
+          fallback: name !== this.order[0],
+          provider_attempts: attempts
+        };
+      } catch (error) {
+        // The caller has to pick a coin; another provider would only guess
+        if (error.code === 'AMBIGUOUS_TICKER') throw error;
+
+        lastError = error;
+        attempts.push({
+          provider: name,
+          status: 'failed',
+          http_status: error.response?.status,
+          reason: error.message
+        });
+        logger.warn(`[MarketData] ${name} failed for ${ticker}: ${error.message}`);
+      }
+    }
+
+    const failed = attempts.filter(a => a.status === 'failed');
+
+    if (failed.length > 0 && failed.every(a => a.reason.includes('not found'))) {
+      const parsed = coingeckoService.parseIdentifier(ticker);
+
+      if (parsed.type === 'contract') {
+        const tokenData = await this.getUnlistedTokenData(parsed, attempts);
+        if (tokenData) return tokenData;
+      }
+
+      throw new Error(`Coin ${ticker} not found on ${failed.map(a => providers.getDefinition(a.provider).label).join(' or ')}`);
+    }
+
+    throw lastError || new Error('No market data provider is configured');
+  }
+
+  /**
+   * Coin data for a contract without market listings, from explorer token metadata.
+   * Price, market cap, volume and circulating supply are unknown and reported as null.
+   * @param {Object} contract - { platform, address } from parseIdentifier
+   * @param {Array} attempts - Market data attempts so far (appended to)
+   * @returns {Object|null} null when no explorer knows the token
+   * @private
+   */
+  async getUnlistedTokenData({ platform, address }, attempts) {
+    const name = this.tokenInfoProviders[platform];
+
+    if (!name || !providers.isActive(name)) {
+      attempts.push({
+        provider: name || platform,
+        status: 'skipped',
+        reason: name ? providers.getInactiveReason(name) : 'no explorer for platform'
+      });
+      return null;
+    }
+
+    const provider = providers.getDefinition(name);
+
+    const info = await provider.service.getTokenInfo(address);
+
+    // getTokenInfo answers with placeholders when the explorer doesn't know the contract
+    if (info.symbol === 'UNKNOWN') {
+      attempts.push({ provider: provider.name, status: 'failed', reason: 'token not found' });
+      return null;
+    }
+
+    attempts.push({ provider: provider.name, status: 'ok' });
+    logger.info(`[MarketData] ${address} on ${platform} is unlisted, using ${provider.label}`);
+
+    return {
+      id: null,
+      platforms: { [platform]: address },
+      symbol: info.symbol.toUpperCase(),
+      name: info.name,
+      price_usd: null,
+      market_cap: null,
+      total_volume_24h: null,
+      circulating_supply: null,
+      total_supply: Number(info.totalSupply) / 10 ** info.decimals || null,
+      max_supply: null,
+      price_change_24h: null,
+      ath: null,
+      ath_change_percentage: null,
+      liquidity: {
+        binance_volume: null,
+        total_volume: null,
+        volume_to_market_cap: null
+      },
+      listed: false,
+      provider: provider.name,
+      provider_label: `${provider.label} token info`,
+      fallback: true,
+      provider_attempts: attempts
+    };
+  }
+}
+
+module.exports = new MarketDataService();
@@ -1,9 +1,7 @@
 const logger = require('../../utils/logger');
 const chainDetector = require('./chain-detector.service');
-const etherscanService = require('../real/etherscan.service');
-const bscscanService = etherscanService;
-const solscanService = etherscanService;
-const covalentService = etherscanService;
+const providers = require('../providers');
+const { createRandom } = require('../mock/random');
 const cache = require('../../utils/cache');
 
 /**
@@ -15,6 +13,14 @@ class OnChainEnhancedService {
   constructor() {
     this.cachePrefix = 'onchain:enhanced:';
     this.cacheTTL = 1800; // 30 minutes
+
+    // Holder data providers per chain; covalent indexes the rest
+    this.chainProviders = {
+      ethereum: 'etherscan',
+      bsc: 'bscscan',
+      polygon: 'polygonscan',
+      solana: 'solana_rpc'
+    };
   }
 
   /**
@@ -77,38 +83,49 @@ class OnChainEnhancedService {
   }
 
   /**
-   * Get metrics for native blockchain coins
+   * Get network metrics for native blockchain coins
    * @private
    */
   async getNativeCoinMetrics(ticker, coinData, chainInfo) {
     logger.info(`[OnChainEnhanced] Fetching native coin data for ${ticker}`);
 
-    try {
-      // For native coins, use Covalent for address metrics
-      const chain = chainInfo.primary;
-      let metrics = {};
-
-      if (chain === 'ethereum' || chain === 'bitcoin') {
-        // Use Covalent for ETH/BTC address stats
-        metrics = await covalentService.getNativeChainMetrics(chain);
-      } else if (chain === 'solana') {
-        // Use Solscan for SOL
-        metrics = await solscanService.getNetworkMetrics();
-      } else {
-        // Generic native coin handling
-        metrics = this.estimateNativeMetrics(coinData);
-      }
+    const chain = chainInfo.primary;
+    const provider = chain === 'solana' ? 'solana_rpc' : 'native_stats';
+    const service = providers.get(provider);
+
+    if (!service || (service.supportsChain && !service.supportsChain(chain))) {
+      const metrics = this.estimateNativeMetrics(coinData);
+      metrics.attempts = [{
+        provider,
+        status: 'skipped',
+        reason: service ? `no network stats for ${chain}` : providers.getInactiveReason(provider)
+      }];
+      return metrics;
+    }
 
-      metrics.data_source = 'real (native chain)';
+    try {
+      const metrics = await service.getNetworkMetrics(chain);
+      metrics.provider = provider;
+      metrics.attempts = [{ provider, status: 'ok' }];
       return metrics;
     } catch (error) {
       logger.error(`[OnChainEnhanced] Error with native coin ${ticker}:`, error.message);
-      return this.estimateNativeMetrics(coinData);
+
+      const metrics = this.estimateNativeMetrics(coinData);
+      metrics.attempts = [{
+        provider,
+        status: 'failed',
+        http_status: error.response?.status,
+        reason: error.message
+      }];
+      return metrics;
     }
   }
 
   /**
-   * Get metrics for multi-chain tokens
+   * Get metrics for multi-chain tokens.
+   * Records one attempt per detected chain; estimates are only used when no
+   * chain returned holder data.
    * @private
    */
   async getMultiChainMetrics(ticker, coinData, chainInfo) {
@@ -121,30 +138,60 @@ class OnChainEnhancedService {
       // Fetch data from each chain in parallel
       const promises = chainInfo.detected.map(async (chain) => {
         const contract = contracts[chain];
-        if (!contract) return null;
+        const provider = this.chainProviders[chain] || 'covalent';
+
+        if (!contract) {
+          return { chain, attempt: { chain, provider, status: 'skipped', reason: 'no contract address' } };
+        }
+
+        const service = this.getServiceForChain(chain);
+        if (!service) {
+          return { chain, attempt: { chain, provider, status: 'skipped', reason: providers.getInactiveReason(provider) } };
+        }
+        if (service.supportsChain && !service.supportsChain(chain)) {
+          return { chain, attempt: { chain, provider, status: 'skipped', reason: `${chain} not supported` } };
+        }
 
         try {
-          const service = this.getServiceForChain(chain);
-          const data = await service.getTokenMetrics(contract);
-          return { chain, data };
+          const data = await service.getTokenMetrics(contract, chain);
+
+          if (!data) {
+            throw new Error('No data returned');
+          }
+          // Explorer sub-requests fail soft, leaving an empty result
+          if ((data.top_10_holders || []).length === 0) {
+            throw new Error('No holder data returned');
+          }
+
+          return { chain, data, attempt: { chain, provider, status: 'ok' } };
         } catch (error) {
-          logger.error(`[OnChainEnhanced] Error fetching ${chain} data:`, error.message);
-          return null;
+          logger.warn(`[OnChainEnhanced] ${provider} failed for ${ticker} on ${chain}: ${error.message}`);
+          return { chain, attempt: { chain, provider, status: 'failed', reason: error.message } };
         }
       });
 
       const results = await Promise.all(promises);
+      const attempts = results.map(result => result.attempt);
 
       // Aggregate results
       results.forEach(result => {
-        if (result && result.data) {
+        if (result.data) {
           chainMetrics[result.chain] = result.data;
         }
       });
 
+      if (Object.keys(chainMetrics).length === 0) {
+        logger.warn(`[OnChainEnhanced] Every chain failed for ${ticker}, using estimates`, { attempts });
+
+        const metrics = this.getMockMetrics(ticker, coinData);
+        metrics.attempts = attempts;
+        return metrics;
+      }
+
       // Calculate aggregated metrics
       const aggregated = this.aggregateMultiChainMetrics(chainMetrics);
       aggregated.chains = chainMetrics;
+      aggregated.attempts = attempts;
       aggregated.data_source = 'real (multi-chain aggregated)';
 
       return aggregated;
@@ -155,52 +202,78 @@ class OnChainEnhancedService {
   }
 
   /**
-   * Get metrics for single-chain tokens
+   * Get metrics for single-chain tokens.
+   * Walks the primary service then strategy.fallback_services in order and
+   * records every attempt; estimates are only used once all of them failed.
    * @private
    */
   async getSingleChainMetrics(ticker, coinData, chainInfo, strategy) {
-    logger.info(`[OnChainEnhanced] Fetching single-chain data for ${ticker} on ${chainInfo.primary}`);
+    const chain = chainInfo.primary;
+    const contract = chainInfo.contracts[chain];
+    const attempts = [];
 
-    try {
-      const contract = chainInfo.contracts[chainInfo.primary];
-      if (!contract) {
-        throw new Error('No contract address found');
-      }
+    logger.info(`[OnChainEnhanced] Fetching single-chain data for ${ticker} on ${chain}`);
 
-      // Get service for primary chain
-      const service = this.getServiceForChain(chainInfo.primary);
-      const metrics = await service.getTokenMetrics(contract);
+    if (!contract) {
+      attempts.push({ provider: strategy.primary_service, status: 'skipped', reason: 'no contract address' });
+    } else {
+      const candidates = [...new Set([strategy.primary_service, ...strategy.fallback_services])];
 
-      metrics.primary_chain = chainInfo.primary;
-      metrics.data_source = `real (${chainInfo.primary})`;
+      for (const name of candidates) {
+        const service = providers.get(name);
 
-      return metrics;
-    } catch (error) {
-      logger.error(`[OnChainEnhanced] Error with single-chain ${ticker}:`, error.message);
-      
-      // Try fallback services
-      if (strategy.fallback_services && strategy.fallback_services.length > 0) {
-        logger.info(`[OnChainEnhanced] Trying fallback services for ${ticker}`);
-        // Could implement fallback logic here
-      }
+        if (!service) {
+          attempts.push({ provider: name, status: 'skipped', reason: providers.getInactiveReason(name) });
+          continue;
+        }
+        if (service.supportsChain && !service.supportsChain(chain)) {
+          attempts.push({ provider: name, status: 'skipped', reason: `${chain} not supported` });
+          continue;
+        }
 
-      return this.getMockMetrics(ticker, coinData);
+        try {
+          const metrics = await service.getTokenMetrics(contract, chain);
+
+          if (!metrics) {
+            throw new Error('No data returned');
+          }
+          // Explorer sub-requests fail soft, leaving an empty result
+          if ((metrics.top_10_holders || []).length === 0) {
+            throw new Error('No holder data returned');
+          }
+
+          attempts.push({ provider: name, status: 'ok' });
+          if (attempts.length > 1) {
+            logger.info(`[OnChainEnhanced] ${ticker} served by fallback provider ${name}`, { attempts });
+          }
+
+          metrics.primary_chain = chain;
+          metrics.provider = name;
+          metrics.attempts = attempts;
+          metrics.data_source = `real (${chain})`;
+
+          return metrics;
+        } catch (error) {
+          logger.warn(`[OnChainEnhanced] ${name} failed for ${ticker} on ${chain}: ${error.message}`);
+          attempts.push({ provider: name, status: 'failed', reason: error.message });
+        }
+      }
     }
+
+    logger.warn(`[OnChainEnhanced] Every provider failed for ${ticker}, using estimates`, { attempts });
+
+    const metrics = this.getMockMetrics(ticker, coinData);
+    metrics.attempts = attempts;
+    return metrics;
   }
 
   /**
    * Get appropriate service for chain
+   * @returns {Object|null} null when the chain's provider is inactive
    * @private
    */
   getServiceForChain(chain) {
-    const services = {
-      ethereum: etherscanService,
-      bsc: bscscanService,
-      polygon: bscscanService, // PolygonScan uses same API pattern
-      solana: solscanService
-    };
-
-    return services[chain] || covalentService;
+    return providers.get(this.chainProviders[chain] || 'covalent');
   }
 
   /**
@@ -226,7 +299,7 @@ class OnChainEnhancedService {
     chains.forEach(chain => {
       if (!chain) return;
 
-      aggregated.total_holders += chain.holders_count || 0;
+      aggregated.total_holders += chain.total_holders || 0;
       aggregated.total_transfers_24h += chain.transfers_24h || 0;
       aggregated.total_transfers_7d += chain.transfers_7d || 0;
       aggregated.active_addresses_7d += chain.active_addresses_7d || 0;
@@ -254,10 +327,11 @@ class OnChainEnhancedService {
    * @private
    */
   estimateNativeMetrics(coinData) {
-    const marketCap = coinData.market_data?.market_cap?.usd || 0;
-    const volume24h = coinData.market_data?.total_volume?.usd || 0;
+    const marketCap = coinData.market_cap || 0;
+    const volume24h = coinData.total_volume_24h || 0;
 
     return {
+      native: true,
       estimated: true,
       active_addresses_estimate: Math.floor(marketCap / 10000),
       daily_transactions_estimate: Math.floor(volume24h / 1000),
@@ -273,16 +347,18 @@ class OnChainEnhancedService {
   getMockMetrics(ticker, coinData) {
     logger.warn(`[OnChainEnhanced] Using mock data for ${ticker}`);
 
-    const marketCap = coinData.market_data?.market_cap?.usd || 0;
-    const volume24h = coinData.market_data?.total_volume?.usd || 0;
+    const marketCap = coinData.market_cap || 0;
+    const volume24h = coinData.total_volume_24h || 0;
+    // Seeded noise so repeated requests for a ticker score the same
+    const random = createRandom(null, 'onchain-fallback', ticker.toUpperCase());
 
     return {
-      holders_count: Math.floor(marketCap / 5000) + Math.floor(Math.random() * 10000),
-      transfers_24h: Math.floor(volume24h / 100) + Math.floor(Math.random() * 5000),
-      transfers_7d: Math.floor((volume24h / 100) * 7) + Math.floor(Math.random() * 30000),
-      active_addresses_7d: Math.floor(marketCap / 10000) + Math.floor(Math.random() * 5000),
-      active_addresses_30d: Math.floor(marketCap / 8000) + Math.floor(Math.random() * 10000),
-      top_10_concentration: 25 + Math.random() * 40,
+      holders_count: Math.floor(marketCap / 5000) + Math.floor(random() * 10000),
+      transfers_24h: Math.floor(volume24h / 100) + Math.floor(random() * 5000),
+      transfers_7d: Math.floor((volume24h / 100) * 7) + Math.floor(random() * 30000),
+      active_addresses_7d: Math.floor(marketCap / 10000) + Math.floor(random() * 5000),
+      active_addresses_30d: Math.floor(marketCap / 8000) + Math.floor(random() * 10000),
+      top_10_concentration: 25 + random() * 40,
       data_source: 'simulated (fallback)',
       note: 'Real on-chain data unavailable, using estimates'
     };
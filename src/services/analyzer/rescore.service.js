@@ -0,0 +1,215 @@
+const scoringEngine = require('./scoring.engine');
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+
+const DIMENSIONS = ['tokenomics', 'liquidity', 'social', 'onchain'];
+
+/**
+ * Rescore Service
+ * Replays stored analyses through the current ScoringEngine so scoring
+ * changes can be compared against history without refetching any data
+ */
+class RescoreService {
+  constructor() {
+    this.maxSnapshots = 1000;
+  }
+
+  /**
+   * Re-score stored analyses and compare them with the scores saved at the time
+   * @param {Object} scoringConfig - { weights, thresholds, profile } to score with
+   * @param {Object} filters - { ticker, since, until, limit }
+   * @returns {Object} { scoring, summary, results, errors }
+   */
+  async rescoreHistory(scoringConfig, filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 100, 1), this.maxSnapshots);
+    const rows = await db.getSnapshots({
+      ticker: filters.ticker ? filters.ticker.toUpperCase() : null,
+      since: filters.since,
+      until: filters.until,
+      limit
+    });
+
+    const results = [];
+    const errors = [];
+
+    for (const row of rows) {
+      try {
+        results.push(this.rescoreSnapshot(row, scoringConfig));
+      } catch (error) {
+        logger.warn(`[Rescore] Skipping analysis ${row.id} (${row.ticker}):`, error.message);
+        errors.push({ id: row.id, ticker: row.ticker, error: error.message });
+      }
+    }
+
+    logger.info(`[Rescore] Replayed ${results.length} snapshots`, {
+      ticker: filters.ticker || 'all',
+      profile: scoringConfig.profile || null,
+      model: scoringConfig.model,
+      errors: errors.length
+    });
+
+    return {
+      scoring: {
+        weights: scoringConfig.weights,
+        thresholds: scoringConfig.thresholds,
+        model: scoringConfig.model,
+        profile: scoringConfig.profile || null
+      },
+      summary: this.summarize(results),
+      results,
+      errors
+    };
+  }
+
+  /**
+   * Re-score one stored analysis row.
+   * Rows saved with raw scoring inputs are fully replayed; older rows only
+   * carry enough data to recompute tokenomics and liquidity, the other
+   * dimensions keep their stored scores.
+   */
+  rescoreSnapshot(row, scoringConfig) {
+    const snapshot = JSON.parse(row.data_snapshot);
+    const analyzedAt = snapshot.metadata?.analyzed_at || `${row.created_at.replace(' ', 'T')}Z`;
+    const inputs = row.scoring_inputs
+      ? JSON.parse(row.scoring_inputs)
+      : this.reconstructInputs(snapshot);
+
+    const dimensionResults = scoringEngine.scoreInputs(
+      inputs,
+      new Date(analyzedAt).getTime(),
+      scoringConfig.model
+    );
+
+    // Real unlock schedules were not stored with older rows, so their penalties can't be replayed
+    if (
+      !row.scoring_inputs &&
+      snapshot.details?.tokenomics?.unlocks?.data_source === 'tokenunlocks_api'
+    ) {
+      dimensionResults.tokenomics = null;
+    }
+
+    const oldScores = {
+      tokenomics: row.tokenomics_score,
+      liquidity: row.liquidity_score,
+      social: row.social_score,
+      onchain: row.onchain_score
+    };
+
+    const newScores = {};
+    const carriedOver = [];
+    for (const dimension of DIMENSIONS) {
+      if (dimensionResults[dimension]) {
+        newScores[dimension] = dimensionResults[dimension].score;
+      } else {
+        newScores[dimension] = oldScores[dimension];
+        carriedOver.push(dimension);
+      }
+    }
+
+    const overallScore = scoringEngine.calculateOverallScore(newScores, scoringConfig.weights);
+    const classification = scoringEngine.classifyScore(overallScore, scoringConfig.thresholds);
+
+    const delta = { overall: this.round(overallScore - row.overall_score) };
+    for (const dimension of DIMENSIONS) {
+      delta[dimension] = this.round(newScores[dimension] - oldScores[dimension]);
+    }
+
+    return {
+      id: row.id,
+      ticker: row.ticker,
+      analyzed_at: analyzedAt,
+      profile: row.profile || null,
+      replay: carriedOver.length === 0 ? 'full' : 'partial',
+      carried_over: carriedOver,
+      old: {
+        overall_score: row.overall_score,
+        classification: row.classification,
+        model_version: row.model_version || null,
+        scores: oldScores
+      },
+      new: {
+        overall_score: overallScore,
+        classification: classification.level,
+        model_version: scoringConfig.model,
+        scores: newScores
+      },
+      delta,
+      classification_changed: classification.level !== row.classification
+    };
+  }
+
+  /**
+   * Rebuild scoring inputs from the response stored before raw inputs were kept
+   * @private
+   */
+  reconstructInputs(snapshot) {
+    const market = snapshot.market_data;
+    if (!market) {
+      throw new Error('Snapshot has no market data');
+    }
+
+    const liquidity = snapshot.details?.liquidity;
+
+    const coin = {
+      symbol: snapshot.symbol,
+      name: snapshot.name,
+      price_usd: market.price_usd,
+      market_cap: market.market_cap,
+      total_volume_24h: market.volume_24h,
+      circulating_supply: market.circulating_supply,
+      total_supply: market.total_supply,
+      max_supply: market.max_supply,
+      // Unlisted tokens are stored with null market figures
+      listed: market.market_cap !== null,
+      liquidity: liquidity
+        ? {
+            total_volume: liquidity.total_volume_24h,
+            volume_to_market_cap: liquidity.volume_to_mcap_ratio,
+            binance_volume:
+              liquidity.binance_volume_percentage === null
+                ? null
+                : (liquidity.binance_volume_percentage / 100) * liquidity.total_volume_24h
+          }
+        : null
+    };
+
+    return { coin };
+  }
+
+  /**
+   * @private
+   */
+  summarize(results) {
+    const deltas = results.map(r => r.delta.overall);
+    const transitions = {};
+
+    results
+      .filter(r => r.classification_changed)
+      .forEach(r => {
+        const key = `${r.old.classification}->${r.new.classification}`;
+        transitions[key] = (transitions[key] || 0) + 1;
+      });
+
+    return {
+      snapshots: results.length,
+      full_replays: results.filter(r => r.replay === 'full').length,
+      partial_replays: results.filter(r => r.replay === 'partial').length,
+      avg_delta: deltas.length > 0
+        ? this.round(deltas.reduce((sum, d) => sum + d, 0) / deltas.length)
+        : 0,
+      max_increase: deltas.length > 0 ? Math.max(0, ...deltas) : 0,
+      max_decrease: deltas.length > 0 ? Math.min(0, ...deltas) : 0,
+      classification_changes: results.filter(r => r.classification_changed).length,
+      transitions
+    };
+  }
+
+  /**
+   * @private
+   */
+  round(value) {
+    return parseFloat(value.toFixed(2));
+  }
+}
+
+module.exports = new RescoreService();
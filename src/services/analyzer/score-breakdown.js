@@ -0,0 +1,53 @@
+/**
+ * Score Breakdown
+ * Records the contribution of every scoring rule so a dimension score can be
+ * rebuilt as base + sum(deltas), clamped to 0-10
+ */
+class ScoreBreakdown {
+  constructor(dimension, base) {
+    this.dimension = dimension;
+    this.base = base;
+    this.contributions = [];
+  }
+
+  /**
+   * Record a rule that fired and return its delta, so callers can write
+   * `score += rules.add(...)`
+   * @param {string} rule - Rule id, e.g. 'circulating_ratio'
+   * @param {*} input - Value the rule looked at
+   * @param {string} threshold - Band or condition that matched, e.g. '> 0.7'
+   * @param {number} delta - Points added (negative when removed)
+   * @returns {number} delta
+   */
+  add(rule, input, threshold, delta) {
+    this.contributions.push({
+      rule: `${this.dimension}.${rule}`,
+      input: typeof input === 'number' ? parseFloat(input.toFixed(4)) : input,
+      threshold,
+      delta: parseFloat(delta.toFixed(4))
+    });
+
+    return delta;
+  }
+
+  /**
+   * @param {number} score - Final (clamped, rounded) dimension score
+   * @returns {Object} { base, contributions, raw_score, clamped, score }
+   */
+  summarize(score) {
+    const rawScore = this.contributions.reduce(
+      (sum, c) => sum + c.delta,
+      this.base
+    );
+
+    return {
+      base: this.base,
+      contributions: this.contributions,
+      raw_score: parseFloat(rawScore.toFixed(2)),
+      clamped: rawScore < 0 || rawScore > 10,
+      score
+    };
+  }
+}
+
+module.exports = ScoreBreakdown;
@@ -0,0 +1,122 @@
+const scoringEngine = require('./scoring.engine');
+const db = require('../../utils/database');
+const logger = require('../../utils/logger');
+
+/**
+ * Scoring Profile Service
+ * Named weight/threshold presets (e.g. "defi-conservative") stored in SQLite
+ */
+class ScoringProfileService {
+  constructor() {
+    this.namePattern = /^[a-z0-9][a-z0-9_-]{1,63}$/;
+  }
+
+  async listProfiles() {
+    return db.getProfiles();
+  }
+
+  async getProfile(name) {
+    const profile = await db.getProfile(String(name).toLowerCase());
+
+    if (!profile) {
+      throw this.error('PROFILE_NOT_FOUND', `Scoring profile "${name}" not found`);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Create a profile; missing weights/thresholds default to config.scoring
+   * @param {Object} data - { name, description, weights, thresholds }
+   * @returns {Object} Stored profile
+   */
+  async createProfile(data = {}) {
+    const name = typeof data.name === 'string' ? data.name.trim().toLowerCase() : '';
+
+    if (!this.namePattern.test(name)) {
+      throw this.error(
+        'INVALID_PROFILE',
+        'Profile name must be 2-64 characters of a-z, 0-9, "-" or "_"'
+      );
+    }
+
+    if (await db.getProfile(name)) {
+      throw this.error('PROFILE_EXISTS', `Scoring profile "${name}" already exists`);
+    }
+
+    const { weights, thresholds } = scoringEngine.resolveScoringConfig({
+      weights: data.weights,
+      thresholds: data.thresholds
+    });
+
+    await db.createProfile({ name, description: data.description, weights, thresholds });
+    logger.info(`[ScoringProfile] Created profile ${name}`, { weights, thresholds });
+
+    return db.getProfile(name);
+  }
+
+  /**
+   * Update a profile; omitted fields keep their stored values
+   */
+  async updateProfile(name, data = {}) {
+    const existing = await this.getProfile(name);
+
+    const { weights, thresholds } = scoringEngine.resolveScoringConfig({
+      weights: { ...existing.weights, ...data.weights },
+      thresholds: { ...existing.thresholds, ...data.thresholds }
+    });
+
+    await db.updateProfile(existing.name, {
+      description: data.description !== undefined ? data.description : existing.description,
+      weights,
+      thresholds
+    });
+    logger.info(`[ScoringProfile] Updated profile ${name}`, { weights, thresholds });
+
+    return db.getProfile(existing.name);
+  }
+
+  async deleteProfile(name) {
+    const { changes } = await db.deleteProfile(String(name).toLowerCase());
+
+    if (changes === 0) {
+      throw this.error('PROFILE_NOT_FOUND', `Scoring profile "${name}" not found`);
+    }
+
+    logger.info(`[ScoringProfile] Deleted profile ${name}`);
+  }
+
+  /**
+   * Build the scoring config for a request: profile first, then ad-hoc overrides
+   * @param {Object} overrides - { weights, thresholds } from the request
+   * @param {string} profileName - Optional profile name
+   * @returns {Object} { weights, thresholds, model, profile }
+   */
+  async resolveScoringConfig(overrides = {}, profileName = null) {
+    if (!profileName) {
+      return scoringEngine.resolveScoringConfig(overrides);
+    }
+
+    const profile = await this.getProfile(profileName);
+
+    return {
+      ...scoringEngine.resolveScoringConfig({
+        weights: { ...profile.weights, ...overrides.weights },
+        thresholds: { ...profile.thresholds, ...overrides.thresholds },
+        model: overrides.model
+      }),
+      profile: profile.name
+    };
+  }
+
+  /**
+   * @private
+   */
+  error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new ScoringProfileService();
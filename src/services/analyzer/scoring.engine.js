@@ -1,145 +1,606 @@
 const config = require("../../config");
 const logger = require("../../utils/logger");
+const ScoreBreakdown = require("./score-breakdown");
 
 class ScoringEngine {
   constructor() {
     this.weights = config.scoring.weights;
     this.thresholds = config.scoring.thresholds;
+
+    // Versioned rule sets. Scores from different models aren't comparable,
+    // so the model id is stored with every analysis.
+    this.models = {
+      v1: {
+        id: "v1",
+        description:
+          "Legacy on-chain rules: activity, address growth, TVL trend, DAU/MAU",
+        scoreOnchain: (onchainData) => this.scoreOnchainLegacy(onchainData)
+      },
+      v2: {
+        id: "v2",
+        description:
+          "Tier-adjusted multi-chain on-chain rules with DefiLlama fundamentals",
+        scoreOnchain: (onchainData, tvlData) =>
+          this.scoreOnchain(onchainData, tvlData)
+      }
+    };
+    this.defaultModel = this.models[config.scoring.model]
+      ? config.scoring.model
+      : "v2";
+  }
+
+  /**
+   * Look up a scoring model by id
+   * @param {string} id - Model id (defaults to config.scoring.model)
+   * @returns {Object} Model definition
+   * @throws {Error} code INVALID_SCORING_CONFIG for unknown ids
+   */
+  getModel(id = this.defaultModel) {
+    const model = this.models[id || this.defaultModel];
+
+    if (!model) {
+      const error = new Error(
+        `Unknown scoring model "${id}". Expected: ${Object.keys(this.models).join(", ")}`
+      );
+      error.code = "INVALID_SCORING_CONFIG";
+      throw error;
+    }
+
+    return model;
+  }
+
+  listModels() {
+    return Object.values(this.models).map((model) => ({
+      id: model.id,
+      description: model.description,
+      default: model.id === this.defaultModel
+    }));
   }
 
-  calculateOverallScore(scores) {
+  calculateOverallScore(scores, weights = this.weights) {
     const overall =
-      scores.tokenomics * this.weights.tokenomics +
-      scores.liquidity * this.weights.liquidity +
-      scores.social * this.weights.social +
-      scores.onchain * this.weights.onchain;
+      scores.tokenomics * weights.tokenomics +
+      scores.liquidity * weights.liquidity +
+      scores.social * weights.social +
+      scores.onchain * weights.onchain;
 
     return parseFloat(overall.toFixed(2));
   }
 
-  classifyScore(score) {
-    if (score >= this.thresholds.green) {
+  classifyScore(score, thresholds = this.thresholds) {
+    if (score >= thresholds.green) {
       return { level: "GREEN", description: "Strong fundamentals" };
-    } else if (score >= this.thresholds.yellow) {
+    } else if (score >= thresholds.yellow) {
       return { level: "YELLOW", description: "Moderate fundamentals" };
     } else {
       return { level: "RED", description: "Weak fundamentals" };
     }
   }
 
-  scoreTokenomics(coinData) {
-    let score = 5;
-    const flags = [];
+  /**
+   * Read scoring overrides from a query string, JSON body or CLI flags.
+   * Weights may be an object (weights[social]=0.3) or a "social:0.3,onchain:0.2" list,
+   * thresholds an object or the green/yellow shorthands.
+   * @param {Object} source - Raw request/CLI parameters
+   * @returns {Object} { weights, thresholds, model } overrides for resolveScoringConfig
+   */
+  parseOverrides(source = {}) {
+    const overrides = {};
+    let weights = source.weights;
+
+    if (typeof weights === "string") {
+      weights = Object.fromEntries(
+        weights.split(",").map((pair) => pair.split(":").map((part) => part.trim()))
+      );
+    }
+    if (weights) {
+      overrides.weights = weights;
+    }
 
-    const circulatingRatio =
-      coinData.circulating_supply / coinData.total_supply;
+    const thresholds =
+      typeof source.thresholds === "object" ? { ...source.thresholds } : {};
+    if (source.green !== undefined) thresholds.green = source.green;
+    if (source.yellow !== undefined) thresholds.yellow = source.yellow;
+    if (Object.keys(thresholds).length > 0) {
+      overrides.thresholds = thresholds;
+    }
 
-    if (circulatingRatio > 0.7) {
-      score += 2;
-      flags.push("High circulating ratio (>70%) - Good");
-    } else if (circulatingRatio > 0.4) {
-      score += 1;
-      flags.push("Moderate circulating ratio (40-70%)");
-    } else {
-      score -= 1;
-      flags.push("Low circulating ratio (<40%) - Risk of dilution");
+    if (source.model) {
+      overrides.model = source.model;
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Merge per-request overrides onto the configured weights and thresholds
+   * @param {Object} overrides - { weights: {...}, thresholds: { green, yellow }, model }
+   * @returns {Object} { weights, thresholds, model } ready to apply
+   * @throws {Error} code INVALID_SCORING_CONFIG when overrides are invalid
+   */
+  resolveScoringConfig(overrides = {}) {
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.code = "INVALID_SCORING_CONFIG";
+      return error;
+    };
+
+    const weights = { ...this.weights };
+    const thresholds = { ...this.thresholds };
+
+    for (const [key, value] of Object.entries(overrides.weights || {})) {
+      if (!(key in this.weights)) {
+        throw invalid(
+          `Unknown weight "${key}". Expected: ${Object.keys(this.weights).join(", ")}`
+        );
+      }
+
+      const weight = Number(value);
+      if (!Number.isFinite(weight) || weight < 0 || weight > 1) {
+        throw invalid(`Weight "${key}" must be a number between 0 and 1`);
+      }
+      weights[key] = weight;
+    }
+
+    const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+    if (Math.abs(total - 1) > 0.001) {
+      throw invalid(
+        `Scoring weights must sum to 1 (got ${parseFloat(total.toFixed(4))})`
+      );
+    }
+
+    for (const [key, value] of Object.entries(overrides.thresholds || {})) {
+      if (!(key in this.thresholds)) {
+        throw invalid(`Unknown threshold "${key}". Expected: green, yellow`);
+      }
+
+      const threshold = Number(value);
+      if (!Number.isFinite(threshold) || threshold < 0 || threshold > 10) {
+        throw invalid(`Threshold "${key}" must be a number between 0 and 10`);
+      }
+      thresholds[key] = threshold;
+    }
+
+    if (thresholds.green <= thresholds.yellow) {
+      throw invalid("GREEN threshold must be higher than YELLOW threshold");
+    }
+
+    return { weights, thresholds, model: this.getModel(overrides.model).id };
+  }
+
+  /**
+   * Recompute overall score and classification of a finished analysis
+   * with different weights/thresholds (dimension scores are unchanged, so
+   * the result must come from the same model - see matchesModel)
+   * @param {Object} result - Analysis result
+   * @param {Object} scoringConfig - Output of resolveScoringConfig (+ optional profile name)
+   * @returns {Object} New analysis result
+   */
+  applyScoringConfig(result, scoringConfig) {
+    const overallScore = this.calculateOverallScore(
+      result.scores,
+      scoringConfig.weights
+    );
+    const classification = this.classifyScore(
+      overallScore,
+      scoringConfig.thresholds
+    );
+
+    return {
+      ...result,
+      overall_score: overallScore,
+      classification: classification.level,
+      classification_description: classification.description,
+      metadata: {
+        ...result.metadata,
+        scoring_weights: scoringConfig.weights,
+        scoring_thresholds: scoringConfig.thresholds,
+        scoring_profile: scoringConfig.profile || null
+      }
+    };
+  }
+
+  /**
+   * Whether a finished analysis was scored by the given model, i.e. whether
+   * applyScoringConfig can reuse its dimension scores
+   * @param {Object} result - Analysis result
+   * @param {string} modelId - Scoring model id
+   * @returns {boolean}
+   */
+  matchesModel(result, modelId) {
+    return result.metadata?.scoring_model === modelId;
+  }
+
+  /**
+   * Rebuild an analysis score from its per-rule contributions:
+   * dimension = clamp(base + sum(deltas)), overall = sum(dimension * weight)
+   * @param {Object} result - Analysis result with score_breakdown
+   * @returns {Object} Explanation view
+   */
+  explain(result) {
+    const weights = result.metadata?.scoring_weights || this.weights;
+    const thresholds = result.metadata?.scoring_thresholds || this.thresholds;
+    const dimensions = {};
+    const allContributions = [];
+
+    for (const [dimension, breakdown] of Object.entries(result.score_breakdown)) {
+      const weight = weights[dimension];
+      const rebuilt = Math.max(
+        0,
+        Math.min(10, parseFloat(breakdown.raw_score.toFixed(2)))
+      );
+      const contributions = breakdown.contributions.map((c) => ({
+        ...c,
+        weighted_delta: parseFloat((c.delta * weight).toFixed(4))
+      }));
+
+      allContributions.push(...contributions);
+      dimensions[dimension] = {
+        score: breakdown.score,
+        weight,
+        weighted_score: parseFloat((breakdown.score * weight).toFixed(4)),
+        base: breakdown.base,
+        raw_score: breakdown.raw_score,
+        clamped: breakdown.clamped,
+        reconstructed_score: rebuilt,
+        contributions
+      };
     }
 
-    if (coinData.max_supply && coinData.max_supply > 0) {
-      score += 1;
-      flags.push("Fixed max supply - Predictable");
+    const reconstructed = this.calculateOverallScore(
+      Object.fromEntries(
+        Object.entries(dimensions).map(([d, v]) => [d, v.reconstructed_score])
+      ),
+      weights
+    );
+    const classification = this.classifyScore(reconstructed, thresholds);
+    const byImpact = [...allContributions]
+      .filter((c) => c.delta !== 0)
+      .sort((a, b) => Math.abs(b.weighted_delta) - Math.abs(a.weighted_delta));
+
+    let reason;
+    if (classification.level === "GREEN") {
+      reason = `${reconstructed} >= GREEN threshold ${thresholds.green}`;
+    } else if (classification.level === "YELLOW") {
+      reason = `${reconstructed} >= YELLOW threshold ${thresholds.yellow} but < GREEN threshold ${thresholds.green}`;
     } else {
-      score -= 0.5;
-      flags.push("No max supply - Potential inflation");
+      reason = `${reconstructed} < YELLOW threshold ${thresholds.yellow}`;
     }
 
-    const fullyDilutedValuation = coinData.price_usd * coinData.total_supply;
-    const fdvToMcapRatio = fullyDilutedValuation / coinData.market_cap;
+    return {
+      ticker: result.ticker,
+      name: result.name,
+      overall_score: result.overall_score,
+      classification: result.classification,
+      classification_reason: reason,
+      model: result.metadata?.scoring_model || null,
+      reconstructed_score: reconstructed,
+      matches: reconstructed === result.overall_score,
+      weights,
+      thresholds,
+      dimensions,
+      top_positive: byImpact.filter((c) => c.delta > 0).slice(0, 5),
+      top_negative: byImpact.filter((c) => c.delta < 0).slice(0, 5)
+    };
+  }
+
+  /**
+   * Score each dimension from the raw provider data an analysis was built from.
+   * Dimensions whose inputs are missing are returned as null.
+   * @param {Object} inputs - { coin, unlocks, tvl, social, onchain }
+   * @param {number} asOf - Timestamp unlock dates are measured from
+   * @param {string} modelId - Scoring model to apply
+   * @returns {Object} { tokenomics, liquidity, social, onchain } scoring results
+   */
+  scoreInputs(inputs, asOf = Date.now(), modelId = this.defaultModel) {
+    const model = this.getModel(modelId);
 
-    if (fdvToMcapRatio < 1.5) {
-      score += 1.5;
-      flags.push("Low FDV/MC ratio (<1.5x) - Low unlock pressure");
-    } else if (fdvToMcapRatio < 3) {
-      score += 0.5;
-      flags.push("Moderate FDV/MC ratio (1.5-3x)");
+    return {
+      tokenomics: inputs.coin
+        ? this.scoreTokenomics(inputs.coin, inputs.unlocks || null, asOf)
+        : null,
+      liquidity: inputs.coin?.liquidity ? this.scoreLiquidity(inputs.coin) : null,
+      social: inputs.social ? this.scoreSocial(inputs.social) : null,
+      onchain: inputs.onchain
+        ? model.scoreOnchain(inputs.onchain, inputs.tvl || null)
+        : null
+    };
+  }
+
+  scoreTokenomics(coinData, unlockData = null, asOf = Date.now()) {
+    let score = 5;
+    const flags = [];
+    const rules = new ScoreBreakdown("tokenomics", score);
+
+    // Unlisted tokens have no market: there is no circulating supply, price
+    // or cap to score, and explorers don't report a max supply
+    const unlisted = coinData.listed === false;
+    const circulatingRatio = unlisted
+      ? null
+      : coinData.circulating_supply / coinData.total_supply;
+    const fdvToMcapRatio = unlisted
+      ? null
+      : (coinData.price_usd * coinData.total_supply) / coinData.market_cap;
+
+    if (unlisted) {
+      flags.push("Unlisted token - no market data, supply and valuation not scored");
     } else {
-      score -= 1;
-      flags.push("High FDV/MC ratio (>3x) - High unlock risk");
+      if (circulatingRatio > 0.7) {
+        score += rules.add("circulating_ratio", circulatingRatio, "> 0.7", 2);
+        flags.push("High circulating ratio (>70%) - Good");
+      } else if (circulatingRatio > 0.4) {
+        score += rules.add("circulating_ratio", circulatingRatio, "0.4-0.7", 1);
+        flags.push("Moderate circulating ratio (40-70%)");
+      } else {
+        score += rules.add("circulating_ratio", circulatingRatio, "<= 0.4", -1);
+        flags.push("Low circulating ratio (<40%) - Risk of dilution");
+      }
+
+      if (coinData.max_supply && coinData.max_supply > 0) {
+        score += rules.add("max_supply", coinData.max_supply, "fixed", 1);
+        flags.push("Fixed max supply - Predictable");
+      } else {
+        score += rules.add("max_supply", null, "none", -0.5);
+        flags.push("No max supply - Potential inflation");
+      }
+
+      if (fdvToMcapRatio < 1.5) {
+        score += rules.add("fdv_to_mcap", fdvToMcapRatio, "< 1.5", 1.5);
+        flags.push("Low FDV/MC ratio (<1.5x) - Low unlock pressure");
+      } else if (fdvToMcapRatio < 3) {
+        score += rules.add("fdv_to_mcap", fdvToMcapRatio, "1.5-3", 0.5);
+        flags.push("Moderate FDV/MC ratio (1.5-3x)");
+      } else {
+        score += rules.add("fdv_to_mcap", fdvToMcapRatio, ">= 3", -1);
+        flags.push("High FDV/MC ratio (>3x) - High unlock risk");
+      }
     }
 
+    // === UNLOCK SCHEDULE (relative to circulating supply) ===
+    const unlocks = unlockData
+      ? this.summarizeUnlocks(unlockData, coinData, asOf)
+      : null;
+
+    if (unlocks && unlocks.data_source === "mock_estimated") {
+      flags.push("Unlock schedule unavailable - estimate not scored");
+    } else if (unlocks) {
+      const unlock30d = unlocks.unlock_30d.pct_of_circulating;
+      const unlock90d = unlocks.unlock_90d.pct_of_circulating;
+
+      if (unlock30d > 10) {
+        score += rules.add("unlock_30d", unlock30d, "> 10% of circulating", -2);
+        flags.push(
+          `Heavy unlock pressure: ${unlock30d.toFixed(1)}% of circulating supply unlocks within 30 days`
+        );
+      } else if (unlock30d > 5) {
+        score += rules.add("unlock_30d", unlock30d, "5-10% of circulating", -1);
+        flags.push(
+          `Significant unlocks: ${unlock30d.toFixed(1)}% of circulating supply within 30 days`
+        );
+      } else if (unlock30d > 2) {
+        score += rules.add("unlock_30d", unlock30d, "2-5% of circulating", -0.5);
+        flags.push(
+          `Moderate unlocks: ${unlock30d.toFixed(1)}% of circulating supply within 30 days`
+        );
+      }
+
+      if (unlock90d > 25) {
+        score += rules.add("unlock_90d", unlock90d, "> 25% of circulating", -1);
+        flags.push(
+          `Large 90-day unlock overhang: ${unlock90d.toFixed(1)}% of circulating supply`
+        );
+      } else if (unlock90d > 10) {
+        score += rules.add("unlock_90d", unlock90d, "10-25% of circulating", -0.5);
+        flags.push(
+          `90-day unlock overhang: ${unlock90d.toFixed(1)}% of circulating supply`
+        );
+      }
+
+      // Only the biggest near-term cliff is penalized, every cliff is flagged
+      const nearCliffs = unlocks.upcoming_cliffs.filter(
+        (c) => c.days_until <= 90
+      );
+      nearCliffs.forEach((cliff) => {
+        flags.push(
+          `Cliff unlock on ${cliff.date}: ${cliff.pct_of_circulating.toFixed(
+            1
+          )}% of circulating supply (${cliff.category})`
+        );
+      });
+
+      const largestCliff = Math.max(
+        0,
+        ...nearCliffs.map((c) => c.pct_of_circulating)
+      );
+      if (largestCliff > 15) {
+        score += rules.add("largest_cliff_90d", largestCliff, "> 15% of circulating", -1.5);
+      } else if (largestCliff > 5) {
+        score += rules.add("largest_cliff_90d", largestCliff, "5-15% of circulating", -0.75);
+      }
+
+      if (unlock30d <= 2 && unlock90d <= 10 && nearCliffs.length === 0) {
+        flags.push("No major unlocks in the next 90 days");
+      }
+    }
+
+    const finalScore = Math.max(0, Math.min(10, parseFloat(score.toFixed(2))));
+
     return {
-      score: Math.max(0, Math.min(10, parseFloat(score.toFixed(2)))),
+      score: finalScore,
       details: {
-        circulating_ratio: parseFloat((circulatingRatio * 100).toFixed(2)),
-        fdv_to_mcap: parseFloat(fdvToMcapRatio.toFixed(2)),
-        has_max_supply: !!coinData.max_supply
+        circulating_ratio: unlisted
+          ? null
+          : parseFloat((circulatingRatio * 100).toFixed(2)),
+        fdv_to_mcap: unlisted ? null : parseFloat(fdvToMcapRatio.toFixed(2)),
+        has_max_supply: !!coinData.max_supply,
+        unlisted,
+        unlocks: unlocks
       },
-      flags: flags
+      flags: flags,
+      breakdown: rules.summarize(finalScore)
+    };
+  }
+
+  /**
+   * Normalize a TokenUnlocks schedule against circulating supply
+   * @param {Object} unlockData - TokenUnlocksService.getUnlockSchedule result
+   * @param {Object} coinData - CoinGecko coin data
+   * @param {number} asOf - Timestamp cliff dates are measured from
+   * @returns {Object} Unlock summary with % of circulating supply
+   */
+  summarizeUnlocks(unlockData, coinData, asOf = Date.now()) {
+    const toCirculatingPct = (amount, percentage) => {
+      const circulating = coinData.circulating_supply;
+      let pct = percentage || 0;
+
+      if (amount > 0 && circulating > 0) {
+        pct = (amount / circulating) * 100;
+      } else if (percentage > 0 && circulating > 0 && coinData.total_supply > 0) {
+        // TokenUnlocks percentages are of total supply
+        pct = (percentage * coinData.total_supply) / circulating;
+      }
+
+      return parseFloat(pct.toFixed(2));
+    };
+
+    const toDay = (date) => {
+      const parsed = new Date(date);
+      return isNaN(parsed) ? String(date) : parsed.toISOString().slice(0, 10);
+    };
+
+    const summarizePeriod = (period) => ({
+      count: period?.count || 0,
+      total_percentage: period?.total_percentage || 0,
+      pct_of_circulating: toCirculatingPct(
+        period?.total_amount,
+        period?.total_percentage
+      )
+    });
+
+    const upcomingCliffs = (unlockData.upcoming_cliffs || [])
+      .map((cliff) => ({
+        date: toDay(cliff.date),
+        days_until: Math.ceil(
+          (new Date(cliff.date).getTime() - asOf) / (1000 * 60 * 60 * 24)
+        ),
+        percentage: cliff.percentage,
+        pct_of_circulating: toCirculatingPct(0, cliff.percentage),
+        category: cliff.category || "unknown"
+      }))
+      .filter((cliff) => cliff.days_until > 0)
+      .sort((a, b) => a.days_until - b.days_until);
+
+    const next = unlockData.next_unlock;
+
+    return {
+      next_unlock: next
+        ? {
+            date: toDay(next.date),
+            days_until: next.days_until,
+            percentage: next.percentage,
+            pct_of_circulating: toCirculatingPct(next.amount, next.percentage)
+          }
+        : null,
+      unlock_30d: summarizePeriod(unlockData.unlock_30d),
+      unlock_90d: summarizePeriod(unlockData.unlock_90d),
+      upcoming_cliffs: upcomingCliffs,
+      data_source: unlockData.data_source
     };
   }
 
   scoreLiquidity(coinData) {
     let score = 5;
     const flags = [];
+    const rules = new ScoreBreakdown("liquidity", score);
     const liquidity = coinData.liquidity;
 
+    // No market means no volume to judge; score the unknown neutrally
+    if (coinData.listed === false) {
+      const neutral = rules.summarize(score);
+
+      return {
+        score,
+        details: {
+          volume_to_mcap_ratio: null,
+          binance_volume_percentage: null,
+          total_volume_24h: null,
+          unlisted: true
+        },
+        flags: ["Unlisted token - no trading volume, liquidity not scored"],
+        breakdown: neutral
+      };
+    }
+
     const volumeRatio = liquidity.volume_to_market_cap;
 
     if (volumeRatio > 10) {
-      score += 2.5;
+      score += rules.add("volume_to_mcap", volumeRatio, "> 10%", 2.5);
       flags.push("High volume/mcap ratio (>10%) - Very liquid");
     } else if (volumeRatio > 5) {
-      score += 1.5;
+      score += rules.add("volume_to_mcap", volumeRatio, "5-10%", 1.5);
       flags.push("Good volume/mcap ratio (5-10%)");
     } else if (volumeRatio > 2) {
-      score += 0.5;
+      score += rules.add("volume_to_mcap", volumeRatio, "2-5%", 0.5);
       flags.push("Moderate volume/mcap ratio (2-5%)");
     } else {
-      score -= 1;
+      score += rules.add("volume_to_mcap", volumeRatio, "<= 2%", -1);
       flags.push("Low volume/mcap ratio (<2%) - Illiquid");
     }
 
-    const binanceRatio = liquidity.binance_volume / liquidity.total_volume;
+    // null = provider has no per-exchange breakdown (not the same as zero)
+    const binanceRatio =
+      liquidity.binance_volume === null
+        ? null
+        : liquidity.binance_volume / liquidity.total_volume;
 
-    if (binanceRatio > 0.3 && binanceRatio < 0.8) {
-      score += 2;
+    if (binanceRatio === null) {
+      flags.push("Exchange volume breakdown unavailable - Binance share not scored");
+    } else if (binanceRatio > 0.3 && binanceRatio < 0.8) {
+      score += rules.add("binance_share", binanceRatio, "0.3-0.8", 2);
       flags.push("Healthy Binance volume (30-80%) - Real volume");
     } else if (binanceRatio >= 0.8) {
-      score += 1;
+      score += rules.add("binance_share", binanceRatio, ">= 0.8", 1);
       flags.push("High Binance dominance (>80%) - Centralized but safe");
     } else if (binanceRatio > 0.1) {
-      score += 0.5;
+      score += rules.add("binance_share", binanceRatio, "0.1-0.3", 0.5);
       flags.push("Low Binance volume (10-30%)");
     } else {
-      score -= 1.5;
+      score += rules.add("binance_share", binanceRatio, "<= 0.1", -1.5);
       flags.push("Very low Binance volume (<10%) - Wash trading risk");
     }
 
     if (liquidity.total_volume > 50000000) {
-      score += 1;
+      score += rules.add("total_volume", liquidity.total_volume, "> $50M", 1);
       flags.push("High absolute volume (>$50M)");
     } else if (liquidity.total_volume > 10000000) {
-      score += 0.5;
+      score += rules.add("total_volume", liquidity.total_volume, "$10M-$50M", 0.5);
       flags.push("Moderate volume ($10-50M)");
     } else if (liquidity.total_volume < 1000000) {
-      score -= 1;
+      score += rules.add("total_volume", liquidity.total_volume, "< $1M", -1);
       flags.push("Low volume (<$1M) - Risky");
     }
 
+    const finalScore = Math.max(0, Math.min(10, parseFloat(score.toFixed(2))));
+
     return {
-      score: Math.max(0, Math.min(10, parseFloat(score.toFixed(2)))),
+      score: finalScore,
       details: {
         volume_to_mcap_ratio: parseFloat(volumeRatio.toFixed(2)),
-        binance_volume_percentage: parseFloat((binanceRatio * 100).toFixed(2)),
+        binance_volume_percentage:
+          binanceRatio === null
+            ? null
+            : parseFloat((binanceRatio * 100).toFixed(2)),
         total_volume_24h: liquidity.total_volume
       },
-      flags: flags
+      flags: flags,
+      breakdown: rules.summarize(finalScore)
     };
   }
 
   scoreSocial(socialData) {
     let score = 5;
     const flags = [];
+    const rules = new ScoreBreakdown("social", score);
 
     // Check if using new enhanced format or old mock format
     const isEnhanced = socialData.data_source === "real (enhanced)";
@@ -150,11 +611,21 @@ class ScoringEngine {
       const engagementScore = socialData.engagement_score || 0;
       const developerScore = socialData.developer_score || 0;
 
-      // Map 0-100 scores to 0-10 scale
-      score =
+      // Map 0-100 scores to 0-10 scale; replaces the base score
+      const compositeScore =
         ((communityScore * 0.4 + engagementScore * 0.3 + developerScore * 0.3) /
           100) *
         10;
+      score += rules.add(
+        "composite",
+        {
+          community: communityScore,
+          engagement: engagementScore,
+          developer: developerScore
+        },
+        "0.4 community + 0.3 engagement + 0.3 developer (0-100 -> 0-10)",
+        compositeScore - score
+      );
 
       // Add flags based on real data
       if (socialData.twitter) {
@@ -198,16 +669,21 @@ class ScoringEngine {
 
       // Sentiment
       if (socialData.sentiment === "bullish") {
-        score += 0.5;
+        score += rules.add("sentiment", socialData.sentiment, "bullish", 0.5);
         flags.push("Bullish community sentiment");
       } else if (socialData.sentiment === "bearish") {
-        score -= 0.5;
+        score += rules.add("sentiment", socialData.sentiment, "bearish", -0.5);
         flags.push("Bearish community sentiment");
       }
     } else {
       // OLD: Mock data scoring (fallback)
       const galaxyContribution = (socialData.galaxy_score / 100) * 4;
-      score += galaxyContribution - 2;
+      score += rules.add(
+        "galaxy_score",
+        socialData.galaxy_score,
+        "linear: galaxy / 100 * 4 - 2",
+        galaxyContribution - 2
+      );
 
       if (socialData.galaxy_score >= 70) {
         flags.push("Strong social presence (Galaxy >70)");
@@ -218,35 +694,37 @@ class ScoringEngine {
       }
 
       if (socialData.alt_rank <= 100) {
-        score += 2;
+        score += rules.add("alt_rank", socialData.alt_rank, "<= 100", 2);
         flags.push("Top 100 social rank - Excellent");
       } else if (socialData.alt_rank <= 500) {
-        score += 1;
+        score += rules.add("alt_rank", socialData.alt_rank, "101-500", 1);
         flags.push("Top 500 social rank - Good");
       } else if (socialData.alt_rank > 2000) {
-        score -= 1;
+        score += rules.add("alt_rank", socialData.alt_rank, "> 2000", -1);
         flags.push("Low social rank (>2000)");
       }
 
       if (socialData.sentiment === "bullish") {
-        score += 1;
+        score += rules.add("sentiment", socialData.sentiment, "bullish", 1);
         flags.push("Bullish sentiment");
       } else if (socialData.sentiment === "bearish") {
-        score -= 0.5;
+        score += rules.add("sentiment", socialData.sentiment, "bearish", -0.5);
         flags.push("Bearish sentiment");
       }
 
       if (socialData.social_volume_24h > 20000) {
-        score += 1;
+        score += rules.add("social_volume", socialData.social_volume_24h, "> 20k mentions", 1);
         flags.push("High social volume (>20k mentions)");
       } else if (socialData.social_volume_24h < 5000) {
-        score -= 0.5;
+        score += rules.add("social_volume", socialData.social_volume_24h, "< 5k mentions", -0.5);
         flags.push("Low social volume (<5k mentions)");
       }
     }
 
+    const finalScore = Math.max(0, Math.min(10, parseFloat(score.toFixed(2))));
+
     return {
-      score: Math.max(0, Math.min(10, parseFloat(score.toFixed(2)))),
+      score: finalScore,
       details: isEnhanced
         ? {
             community_score: socialData.community_score,
@@ -265,56 +743,108 @@ class ScoringEngine {
             social_volume: socialData.social_volume_24h
           },
       flags: flags,
+      breakdown: rules.summarize(finalScore),
       data_quality:
         socialData.data_quality || socialData.confidence_level || "simulated"
     };
   }
 
-  scoreOnchain_old(onchainData) {
+  scoreOnchainLegacy(onchainData) {
     let score = 5;
     const flags = [];
+    const rules = new ScoreBreakdown("onchain", score);
 
     if (onchainData.active_addresses_7d > 10000) {
-      score += 2;
+      score += rules.add(
+        "active_addresses_7d",
+        onchainData.active_addresses_7d,
+        "> 10000",
+        2
+      );
       flags.push("High activity (>10k addresses/week)");
     } else if (onchainData.active_addresses_7d > 5000) {
-      score += 1;
+      score += rules.add(
+        "active_addresses_7d",
+        onchainData.active_addresses_7d,
+        "5001-10000",
+        1
+      );
       flags.push("Moderate activity (5-10k addresses)");
     } else if (onchainData.active_addresses_7d < 1000) {
-      score -= 1;
+      score += rules.add(
+        "active_addresses_7d",
+        onchainData.active_addresses_7d,
+        "< 1000",
+        -1
+      );
       flags.push("Low activity (<1k addresses)");
     }
 
     if (onchainData.address_growth_mom > 20) {
-      score += 2;
+      score += rules.add(
+        "address_growth_mom",
+        onchainData.address_growth_mom,
+        "> 20%",
+        2
+      );
       flags.push("Strong growth (>20% MoM)");
     } else if (onchainData.address_growth_mom > 0) {
-      score += 1;
+      score += rules.add(
+        "address_growth_mom",
+        onchainData.address_growth_mom,
+        "0-20%",
+        1
+      );
       flags.push("Positive growth");
     } else if (onchainData.address_growth_mom < -10) {
-      score -= 1.5;
+      score += rules.add(
+        "address_growth_mom",
+        onchainData.address_growth_mom,
+        "< -10%",
+        -1.5
+      );
       flags.push("Declining users (>10% drop)");
     }
 
     if (onchainData.tvl_change_7d > 10) {
-      score += 1.5;
+      score += rules.add(
+        "tvl_change_7d",
+        onchainData.tvl_change_7d,
+        "> 10%",
+        1.5
+      );
       flags.push("TVL growing (>10% weekly)");
     } else if (onchainData.tvl_change_7d < -15) {
-      score -= 1;
+      score += rules.add(
+        "tvl_change_7d",
+        onchainData.tvl_change_7d,
+        "< -15%",
+        -1
+      );
       flags.push("TVL declining (>15% weekly)");
     }
 
     if (onchainData.daily_active_ratio > 40) {
-      score += 1;
+      score += rules.add(
+        "daily_active_ratio",
+        onchainData.daily_active_ratio,
+        "> 40%",
+        1
+      );
       flags.push("High user retention (>40% DAU/MAU)");
     } else if (onchainData.daily_active_ratio < 20) {
-      score -= 0.5;
+      score += rules.add(
+        "daily_active_ratio",
+        onchainData.daily_active_ratio,
+        "< 20%",
+        -0.5
+      );
       flags.push("Low retention (<20% DAU/MAU)");
     }
-    const temp = Math.max(0, Math.min(10, parseFloat(score.toFixed(2))));
-   
+    const finalScore = Math.max(0, Math.min(10, parseFloat(score.toFixed(2))));
+
     return {
-      score: Math.max(0, Math.min(10, parseFloat(score.toFixed(2)))),
+      score: finalScore,
       details: {
         active_addresses_7d: onchainData.active_addresses_7d,
         address_growth_mom: onchainData.address_growth_mom,
@@ -322,13 +852,20 @@ class ScoringEngine {
         daily_active_ratio: onchainData.daily_active_ratio
       },
       flags: flags,
+      breakdown: rules.summarize(finalScore),
       data_quality: onchainData.confidence_level || "simulated"
     };
   }
 
-  scoreOnchain(onchainData) {
+  scoreOnchain(onchainData, tvlData = null) {
+    // L1 coins have network stats instead of token holder data
+    if (onchainData.native) {
+      return this.scoreNativeOnchain(onchainData);
+    }
+
     let score = 5;
     const flags = [];
+    const rules = new ScoreBreakdown("onchain", score);
     const warnings = [];
     const redFlags = [];
 
@@ -373,61 +910,61 @@ class ScoringEngine {
 
     // === 1. HOLDER BASE ANALYSIS (adjusted by tier) ===
     if (tier === "mega") {
-      score += 3;
+      score += rules.add("holders", totalHolders, "> 1,000,000 (mega)", 3);
       flags.push(`🦄 Mega cap: ${totalHolders.toLocaleString()} holders`);
     } else if (tier === "large") {
       if (totalHolders > 500000) {
-        score += 2.8;
+        score += rules.add("holders", totalHolders, "> 500,000", 2.8);
         flags.push(
           `Massive adoption: ${totalHolders.toLocaleString()} holders`
         );
       } else if (totalHolders > 250000) {
-        score += 2.5;
+        score += rules.add("holders", totalHolders, "250,001-500,000", 2.5);
         flags.push(
           `Very large community: ${totalHolders.toLocaleString()} holders`
         );
       } else {
-        score += 2.2;
+        score += rules.add("holders", totalHolders, "100,001-250,000", 2.2);
         flags.push(`Large cap: ${totalHolders.toLocaleString()} holders`);
       }
     } else if (tier === "mid") {
       if (totalHolders > 50000) {
-        score += 2;
+        score += rules.add("holders", totalHolders, "> 50,000", 2);
         flags.push(`Strong mid cap: ${totalHolders.toLocaleString()} holders`);
       } else if (totalHolders > 25000) {
-        score += 1.6;
+        score += rules.add("holders", totalHolders, "25,001-50,000", 1.6);
         flags.push(`Good mid cap: ${totalHolders.toLocaleString()} holders`);
       } else {
-        score += 1.2;
+        score += rules.add("holders", totalHolders, "10,001-25,000", 1.2);
         flags.push(`Mid cap: ${totalHolders.toLocaleString()} holders`);
       }
     } else if (tier === "small") {
       if (totalHolders > 5000) {
-        score += 1;
+        score += rules.add("holders", totalHolders, "> 5,000", 1);
         flags.push(`Upper small cap: ${totalHolders.toLocaleString()} holders`);
       } else if (totalHolders > 2500) {
-        score += 0.7;
+        score += rules.add("holders", totalHolders, "2,501-5,000", 0.7);
         flags.push(`Small cap: ${totalHolders.toLocaleString()} holders`);
       } else {
-        score += 0.4;
+        score += rules.add("holders", totalHolders, "1,001-2,500", 0.4);
         flags.push(`Lower small cap: ${totalHolders.toLocaleString()} holders`);
       }
     } else {
       // micro
       if (totalHolders > 500) {
-        score += 0.2;
+        score += rules.add("holders", totalHolders, "> 500", 0.2);
         flags.push(`Established micro cap: ${totalHolders} holders`);
       } else if (totalHolders > 250) {
-        score += 0;
+        score += rules.add("holders", totalHolders, "251-500", 0);
         flags.push(`Micro cap: ${totalHolders} holders - early stage`);
       } else if (totalHolders > 100) {
-        score -= 0.3;
+        score += rules.add("holders", totalHolders, "101-250", -0.3);
         warnings.push(`Very early stage: ${totalHolders} holders`);
       } else if (totalHolders > 50) {
-        score -= 0.8;
+        score += rules.add("holders", totalHolders, "51-100", -0.8);
         warnings.push(`Extremely early: ${totalHolders} holders - HIGH RISK`);
       } else if (totalHolders > 0) {
-        score -= 1.5;
+        score += rules.add("holders", totalHolders, "1-50", -1.5);
         redFlags.push(
           `Pre-launch stage: ${totalHolders} holders - EXTREME RISK`
         );
@@ -485,32 +1022,62 @@ class ScoringEngine {
           : { excellent: 30, good: 45, moderate: 60, high: 75, extreme: 90 }; // small/micro có threshold cao hơn vì bình thường concentration cao hơn
 
       if (concentrationToUse < thresholds.excellent) {
-        score += 1.8;
+        score += rules.add(
+          "top10_concentration",
+          concentrationToUse,
+          `< ${thresholds.excellent}%`,
+          1.8
+        );
         flags.push(
           `Excellent distribution: Top 10 hold ${concentrationToUse.toFixed(
             1
           )}%`
         );
       } else if (concentrationToUse < thresholds.good) {
-        score += 1.2;
+        score += rules.add(
+          "top10_concentration",
+          concentrationToUse,
+          `< ${thresholds.good}%`,
+          1.2
+        );
         flags.push(
           `Good distribution: ${concentrationToUse.toFixed(1)}% concentration`
         );
       } else if (concentrationToUse < thresholds.moderate) {
-        score += 0.5;
+        score += rules.add(
+          "top10_concentration",
+          concentrationToUse,
+          `< ${thresholds.moderate}%`,
+          0.5
+        );
         flags.push(`Fair distribution: ${concentrationToUse.toFixed(1)}%`);
       } else if (concentrationToUse < thresholds.high) {
-        score -= 0.4;
+        score += rules.add(
+          "top10_concentration",
+          concentrationToUse,
+          `< ${thresholds.high}%`,
+          -0.4
+        );
         warnings.push(
           `Moderate concentration risk: ${concentrationToUse.toFixed(1)}%`
         );
       } else if (concentrationToUse < thresholds.extreme) {
-        score -= 1.2;
+        score += rules.add(
+          "top10_concentration",
+          concentrationToUse,
+          `< ${thresholds.extreme}%`,
+          -1.2
+        );
         warnings.push(
           `High concentration: ${concentrationToUse.toFixed(1)}% - RISKY`
         );
       } else {
-        score -= 2.2;
+        score += rules.add(
+          "top10_concentration",
+          concentrationToUse,
+          `>= ${thresholds.extreme}%`,
+          -2.2
+        );
         redFlags.push(
           `EXTREME concentration: ${concentrationToUse.toFixed(
             1
@@ -536,68 +1103,118 @@ class ScoringEngine {
 
     // Absolute numbers
     if (totalActive7d > 100000) {
-      score += 2.5;
+      score += rules.add(
+        "active_addresses_7d",
+        totalActive7d,
+        "> 100,000",
+        2.5
+      );
       flags.push(
         `Massive activity: ${totalActive7d.toLocaleString()} active/week`
       );
     } else if (totalActive7d > 50000) {
-      score += 2.2;
+      score += rules.add(
+        "active_addresses_7d",
+        totalActive7d,
+        "50,001-100,000",
+        2.2
+      );
       flags.push(
         `Very high activity: ${totalActive7d.toLocaleString()} active/week`
       );
     } else if (totalActive7d > 20000) {
-      score += 1.8;
+      score += rules.add(
+        "active_addresses_7d",
+        totalActive7d,
+        "20,001-50,000",
+        1.8
+      );
       flags.push(
         `High activity: ${totalActive7d.toLocaleString()} active/week`
       );
     } else if (totalActive7d > 10000) {
-      score += 1.5;
+      score += rules.add(
+        "active_addresses_7d",
+        totalActive7d,
+        "10,001-20,000",
+        1.5
+      );
       flags.push(
         `Strong activity: ${totalActive7d.toLocaleString()} active/week`
       );
     } else if (totalActive7d > 5000) {
-      score += 1.2;
+      score += rules.add(
+        "active_addresses_7d",
+        totalActive7d,
+        "5,001-10,000",
+        1.2
+      );
       flags.push(
         `Good activity: ${totalActive7d.toLocaleString()} active/week`
       );
     } else if (totalActive7d > 1000) {
-      score += 0.8;
+      score += rules.add(
+        "active_addresses_7d",
+        totalActive7d,
+        "1,001-5,000",
+        0.8
+      );
       flags.push(
         `Moderate activity: ${totalActive7d.toLocaleString()} active/week`
       );
     } else if (totalActive7d > 500) {
-      score += 0.4;
+      score += rules.add(
+        "active_addresses_7d",
+        totalActive7d,
+        "501-1,000",
+        0.4
+      );
       flags.push(`Fair activity: ${totalActive7d} active/week`);
     } else if (totalActive7d > 100) {
-      score += 0.1;
+      score += rules.add("active_addresses_7d", totalActive7d, "101-500", 0.1);
       flags.push(`Low activity: ${totalActive7d} active/week`);
     } else if (totalActive7d > 20) {
-      score -= 0.3;
+      score += rules.add("active_addresses_7d", totalActive7d, "21-100", -0.3);
       warnings.push(`Very low activity: ${totalActive7d} active/week`);
     } else if (totalActive7d > 5) {
-      score -= 0.7;
+      score += rules.add("active_addresses_7d", totalActive7d, "6-20", -0.7);
       warnings.push(`Minimal activity: ${totalActive7d} active addresses`);
     } else if (totalActive7d > 0) {
-      score -= 1.2;
+      score += rules.add("active_addresses_7d", totalActive7d, "1-5", -1.2);
       redFlags.push(`Near-zero activity: ${totalActive7d} active/week`);
     }
 
     // Active ratio (%)
     if (activeRatio7d > 0) {
       if (activeRatio7d >= activeThresholds.excellent) {
-        score += 1.5;
+        score += rules.add(
+          "active_ratio_7d",
+          activeRatio7d,
+          `>= ${activeThresholds.excellent}%`,
+          1.5
+        );
         flags.push(
           `🔥 Excellent engagement: ${activeRatio7d.toFixed(
             1
           )}% holders active weekly`
         );
       } else if (activeRatio7d >= activeThresholds.good) {
-        score += 1;
+        score += rules.add(
+          "active_ratio_7d",
+          activeRatio7d,
+          `>= ${activeThresholds.good}%`,
+          1
+        );
         flags.push(
           `Strong engagement: ${activeRatio7d.toFixed(1)}% active rate`
         );
       } else if (activeRatio7d >= activeThresholds.fair) {
-        score += 0.5;
+        score += rules.add(
+          "active_ratio_7d",
+          activeRatio7d,
+          `>= ${activeThresholds.fair}%`,
+          0.5
+        );
         flags.push(`Good engagement: ${activeRatio7d.toFixed(1)}% active`);
       } else if (activeRatio7d >= activeThresholds.low) {
         flags.push(
@@ -606,10 +1223,15 @@ class ScoringEngine {
           )}% active (normal for crypto)`
         );
       } else if (activeRatio7d >= 1) {
-        score -= 0.2;
+        score += rules.add(
+          "active_ratio_7d",
+          activeRatio7d,
+          `1-${activeThresholds.low}%`,
+          -0.2
+        );
         warnings.push(`Low engagement: ${activeRatio7d.toFixed(1)}% active`);
       } else {
-        score -= 0.6;
+        score += rules.add("active_ratio_7d", activeRatio7d, "< 1%", -0.6);
         warnings.push(
           `Very low engagement: ${activeRatio7d.toFixed(2)}% active`
         );
@@ -622,31 +1244,31 @@ class ScoringEngine {
 
       // Retention thresholds (realistic)
       if (retention > 60) {
-        score += 1.8;
+        score += rules.add("retention_7d_30d", retention, "> 60%", 1.8);
         flags.push(
           `🌟 Outstanding retention: ${retention.toFixed(1)}% weekly active`
         );
       } else if (retention > 45) {
-        score += 1.4;
+        score += rules.add("retention_7d_30d", retention, "45-60%", 1.4);
         flags.push(`Excellent retention: ${retention.toFixed(1)}%`);
       } else if (retention > 30) {
-        score += 1;
+        score += rules.add("retention_7d_30d", retention, "30-45%", 1);
         flags.push(`Strong retention: ${retention.toFixed(1)}%`);
       } else if (retention > 20) {
-        score += 0.6;
+        score += rules.add("retention_7d_30d", retention, "20-30%", 0.6);
         flags.push(`Good retention: ${retention.toFixed(1)}%`);
       } else if (retention > 15) {
-        score += 0.2;
+        score += rules.add("retention_7d_30d", retention, "15-20%", 0.2);
         flags.push(`Fair retention: ${retention.toFixed(1)}%`);
       } else if (retention > 10) {
         warnings.push(`Moderate retention: ${retention.toFixed(1)}%`);
       } else if (retention > 5) {
-        score -= 0.3;
+        score += rules.add("retention_7d_30d", retention, "5-10%", -0.3);
         warnings.push(
           `Low retention: ${retention.toFixed(1)}% - users not staying`
         );
       } else {
-        score -= 0.7;
+        score += rules.add("retention_7d_30d", retention, "<= 5%", -0.7);
         warnings.push(`Poor retention: ${retention.toFixed(1)}% - high churn`);
       }
     } else if (totalActive30d > 0) {
@@ -655,30 +1277,45 @@ class ScoringEngine {
 
     // === 5. TRANSACTION VOLUME ===
     if (totalTransfers24h > 20000) {
-      score += 1.5;
+      score += rules.add("transfers_24h", totalTransfers24h, "> 20,000", 1.5);
       flags.push(`Very high tx: ${totalTransfers24h.toLocaleString()}/day`);
     } else if (totalTransfers24h > 10000) {
-      score += 1.2;
+      score += rules.add(
+        "transfers_24h",
+        totalTransfers24h,
+        "10,001-20,000",
+        1.2
+      );
       flags.push(`High tx volume: ${totalTransfers24h.toLocaleString()}/day`);
     } else if (totalTransfers24h > 5000) {
-      score += 0.9;
+      score += rules.add(
+        "transfers_24h",
+        totalTransfers24h,
+        "5,001-10,000",
+        0.9
+      );
       flags.push(`Strong tx: ${totalTransfers24h.toLocaleString()}/day`);
     } else if (totalTransfers24h > 1000) {
-      score += 0.6;
+      score += rules.add(
+        "transfers_24h",
+        totalTransfers24h,
+        "1,001-5,000",
+        0.6
+      );
       flags.push(`Good tx: ${totalTransfers24h.toLocaleString()}/day`);
     } else if (totalTransfers24h > 500) {
-      score += 0.3;
+      score += rules.add("transfers_24h", totalTransfers24h, "501-1,000", 0.3);
       flags.push(`Moderate tx: ${totalTransfers24h}/day`);
     } else if (totalTransfers24h > 100) {
-      score += 0.1;
+      score += rules.add("transfers_24h", totalTransfers24h, "101-500", 0.1);
       flags.push(`Fair tx: ${totalTransfers24h}/day`);
     } else if (totalTransfers24h > 50) {
       warnings.push(`Low tx: ${totalTransfers24h}/day`);
     } else if (totalTransfers24h > 10) {
-      score -= 0.3;
+      score += rules.add("transfers_24h", totalTransfers24h, "11-50", -0.3);
       warnings.push(`Very low tx: ${totalTransfers24h}/day`);
     } else if (totalTransfers24h > 0) {
-      score -= 0.7;
+      score += rules.add("transfers_24h", totalTransfers24h, "1-10", -0.7);
       warnings.push(`Minimal tx: ${totalTransfers24h}/day`);
     }
 
@@ -686,10 +1323,10 @@ class ScoringEngine {
     if (totalActive7d > 0 && totalTransfers7d > 0) {
       const txPerUser = totalTransfers7d / totalActive7d;
       if (txPerUser > 20) {
-        score += 0.6;
+        score += rules.add("tx_per_user", txPerUser, "> 20/week", 0.6);
         flags.push(`High user activity: ${txPerUser.toFixed(1)} tx/user/week`);
       } else if (txPerUser > 10) {
-        score += 0.3;
+        score += rules.add("tx_per_user", txPerUser, "10-20/week", 0.3);
         flags.push(`Good activity: ${txPerUser.toFixed(1)} tx/user/week`);
       } else if (txPerUser < 2) {
         warnings.push(`Low tx per user: ${txPerUser.toFixed(1)}/week`);
@@ -699,16 +1336,16 @@ class ScoringEngine {
     // === 6. MULTI-CHAIN BENEFITS ===
     if (isMultichain && chainCount > 1) {
       if (chainCount >= 6) {
-        score += 1.5;
+        score += rules.add("chain_count", chainCount, ">= 6", 1.5);
         flags.push(`🌐 Wide deployment: ${chainCount} blockchains`);
       } else if (chainCount >= 4) {
-        score += 1.2;
+        score += rules.add("chain_count", chainCount, "4-5", 1.2);
         flags.push(`Strong multi-chain: ${chainCount} networks`);
       } else if (chainCount >= 3) {
-        score += 0.8;
+        score += rules.add("chain_count", chainCount, "3", 0.8);
         flags.push(`Multi-chain: ${chainCount} networks`);
       } else {
-        score += 0.4;
+        score += rules.add("chain_count", chainCount, "2", 0.4);
         flags.push(`Cross-chain: ${chainCount} networks`);
       }
 
@@ -723,10 +1360,10 @@ class ScoringEngine {
           const balance = minH / maxH;
 
           if (balance > 0.4) {
-            score += 0.6;
+            score += rules.add("chain_balance", balance, "> 0.4", 0.6);
             flags.push("Well-balanced across chains");
           } else if (balance > 0.2) {
-            score += 0.3;
+            score += rules.add("chain_balance", balance, "0.2-0.4", 0.3);
             flags.push("Fairly distributed across chains");
           } else if (balance < 0.05) {
             warnings.push("Highly concentrated on one chain");
@@ -739,33 +1376,33 @@ class ScoringEngine {
     if (onchainData.address_growth_mom !== undefined) {
       const growth = onchainData.address_growth_mom;
       if (growth > 100) {
-        score += 2.5;
+        score += rules.add("address_growth_mom", growth, "> 100%", 2.5);
         flags.push(`🚀 Explosive growth: +${growth.toFixed(0)}% MoM`);
       } else if (growth > 50) {
-        score += 2;
+        score += rules.add("address_growth_mom", growth, "50-100%", 2);
         flags.push(`Very strong growth: +${growth.toFixed(1)}% MoM`);
       } else if (growth > 25) {
-        score += 1.5;
+        score += rules.add("address_growth_mom", growth, "25-50%", 1.5);
         flags.push(`Strong growth: +${growth.toFixed(1)}% MoM`);
       } else if (growth > 10) {
-        score += 1;
+        score += rules.add("address_growth_mom", growth, "10-25%", 1);
         flags.push(`Good growth: +${growth.toFixed(1)}% MoM`);
       } else if (growth > 5) {
-        score += 0.5;
+        score += rules.add("address_growth_mom", growth, "5-10%", 0.5);
         flags.push(`Positive growth: +${growth.toFixed(1)}% MoM`);
       } else if (growth > 0) {
-        score += 0.2;
+        score += rules.add("address_growth_mom", growth, "0-5%", 0.2);
         flags.push(`Slight growth: +${growth.toFixed(1)}% MoM`);
       } else if (growth > -5) {
         warnings.push(`Minor decline: ${growth.toFixed(1)}% MoM`);
       } else if (growth > -15) {
-        score -= 0.6;
+        score += rules.add("address_growth_mom", growth, "-15% to -5%", -0.6);
         warnings.push(`Declining: ${growth.toFixed(1)}% MoM`);
       } else if (growth > -30) {
-        score -= 1.5;
+        score += rules.add("address_growth_mom", growth, "-30% to -15%", -1.5);
         redFlags.push(`Sharp decline: ${growth.toFixed(1)}% MoM`);
       } else {
-        score -= 2.5;
+        score += rules.add("address_growth_mom", growth, "<= -30%", -2.5);
         redFlags.push(`🚨 COLLAPSING: ${growth.toFixed(1)}% MoM`);
       }
     }
@@ -773,27 +1410,27 @@ class ScoringEngine {
     if (onchainData.tvl_change_7d !== undefined) {
       const tvl = onchainData.tvl_change_7d;
       if (tvl > 50) {
-        score += 2;
+        score += rules.add("tvl_change_7d", tvl, "> 50%", 2);
         flags.push(`TVL surging: +${tvl.toFixed(1)}%/week`);
       } else if (tvl > 25) {
-        score += 1.5;
+        score += rules.add("tvl_change_7d", tvl, "25-50%", 1.5);
         flags.push(`TVL growing strongly: +${tvl.toFixed(1)}%`);
       } else if (tvl > 10) {
-        score += 1;
+        score += rules.add("tvl_change_7d", tvl, "10-25%", 1);
         flags.push(`TVL increasing: +${tvl.toFixed(1)}%`);
       } else if (tvl > 0) {
-        score += 0.4;
+        score += rules.add("tvl_change_7d", tvl, "0-10%", 0.4);
         flags.push(`TVL up: +${tvl.toFixed(1)}%`);
       } else if (tvl > -10) {
         warnings.push(`TVL stable: ${tvl.toFixed(1)}%`);
       } else if (tvl > -25) {
-        score -= 0.6;
+        score += rules.add("tvl_change_7d", tvl, "-25% to -10%", -0.6);
         warnings.push(`TVL declining: ${tvl.toFixed(1)}%`);
       } else if (tvl > -40) {
-        score -= 1.5;
+        score += rules.add("tvl_change_7d", tvl, "-40% to -25%", -1.5);
         warnings.push(`TVL dropping: ${tvl.toFixed(1)}%`);
       } else {
-        score -= 2.5;
+        score += rules.add("tvl_change_7d", tvl, "<= -40%", -2.5);
         redFlags.push(`TVL CRASH: ${tvl.toFixed(1)}%`);
       }
     }
@@ -801,24 +1438,24 @@ class ScoringEngine {
     if (onchainData.daily_active_ratio !== undefined) {
       const dau_mau = onchainData.daily_active_ratio;
       if (dau_mau > 50) {
-        score += 2;
+        score += rules.add("dau_mau", dau_mau, "> 50%", 2);
         flags.push(`Outstanding stickiness: ${dau_mau.toFixed(1)}% DAU/MAU`);
       } else if (dau_mau > 40) {
-        score += 1.5;
+        score += rules.add("dau_mau", dau_mau, "40-50%", 1.5);
         flags.push(`Excellent DAU/MAU: ${dau_mau.toFixed(1)}%`);
       } else if (dau_mau > 30) {
-        score += 1;
+        score += rules.add("dau_mau", dau_mau, "30-40%", 1);
         flags.push(`Strong engagement: ${dau_mau.toFixed(1)}% DAU/MAU`);
       } else if (dau_mau > 20) {
-        score += 0.6;
+        score += rules.add("dau_mau", dau_mau, "20-30%", 0.6);
         flags.push(`Good engagement: ${dau_mau.toFixed(1)}% DAU/MAU`);
       } else if (dau_mau > 12) {
-        score += 0.2;
+        score += rules.add("dau_mau", dau_mau, "12-20%", 0.2);
         flags.push(`Fair engagement: ${dau_mau.toFixed(1)}%`);
       } else if (dau_mau > 5) {
         warnings.push(`Moderate engagement: ${dau_mau.toFixed(1)}% DAU/MAU`);
       } else {
-        score -= 0.5;
+        score += rules.add("dau_mau", dau_mau, "<= 5%", -0.5);
         warnings.push(`Low engagement: ${dau_mau.toFixed(1)}% DAU/MAU`);
       }
     }
@@ -840,7 +1477,12 @@ class ScoringEngine {
         dataQuality = "medium";
         warnings.push("⚠ Medium data quality");
       } else {
-        score -= 0.5;
+        score += rules.add(
+          "data_quality",
+          { reliability, confidence },
+          "low reliability and confidence",
+          -0.5
+        );
         dataQuality = "low";
         warnings.push("⚠ Low data quality - use caution");
       }
@@ -850,14 +1492,28 @@ class ScoringEngine {
 
     // Ghost token
     if (totalHolders < 30 && totalActive7d < 3) {
-      score -= 3;
+      score += rules.add(
+        "ghost_token",
+        { holders: totalHolders, active_7d: totalActive7d },
+        "holders < 30 and active_7d < 3",
+        -3
+      );
       redFlags.push("🚨 GHOST TOKEN: No meaningful activity");
     } else if (
       totalHolders < 100 &&
       totalActive7d < 5 &&
       totalTransfers24h < 3
     ) {
-      score -= 2;
+      score += rules.add(
+        "near_dead",
+        {
+          holders: totalHolders,
+          active_7d: totalActive7d,
+          transfers_24h: totalTransfers24h
+        },
+        "holders < 100, active_7d < 5 and transfers_24h < 3",
+        -2
+      );
       redFlags.push("🚨 Near-dead: Virtually no activity");
     }
 
@@ -870,22 +1526,154 @@ class ScoringEngine {
         : { critical: 85, high: 75 };
 
     if (concentrationToUse > whaleLimits.critical && totalHolders < 1000) {
-      score -= 2.5;
+      score += rules.add(
+        "whale_dominance",
+        concentrationToUse,
+        `> ${whaleLimits.critical}% with < 1,000 holders`,
+        -2.5
+      );
       redFlags.push("🚨 WHALE CONTROLLED: Extreme manipulation risk");
     } else if (concentrationToUse > whaleLimits.high && totalHolders < 2000) {
-      score -= 1.5;
+      score += rules.add(
+        "whale_dominance",
+        concentrationToUse,
+        `> ${whaleLimits.high}% with < 2,000 holders`,
+        -1.5
+      );
       redFlags.push("⚠ High whale dominance risk");
     }
 
     // Abandoned (chỉ apply cho non-micro)
     if (tier !== "micro" && totalHolders > 2000 && activeRatio7d < 0.5) {
-      score -= 2;
+      score += rules.add(
+        "abandoned",
+        activeRatio7d,
+        "< 0.5% active with > 2,000 holders",
+        -2
+      );
       redFlags.push("🚨 LIKELY ABANDONED: <0.5% holders active");
     } else if (tier !== "micro" && totalHolders > 5000 && activeRatio7d < 1) {
-      score -= 1.2;
+      score += rules.add(
+        "abandoned",
+        activeRatio7d,
+        "< 1% active with > 5,000 holders",
+        -1.2
+      );
       warnings.push("Possibly abandoned: <1% activity rate");
     }
 
+    // === 10. DEFI FUNDAMENTALS (DefiLlama TVL) ===
+    if (tvlData && tvlData.tvl > 0) {
+      const tvl = tvlData.tvl;
+      const mcapTvl = tvlData.mcap_tvl_ratio;
+
+      // MC/TVL: how much the market pays per dollar locked
+      if (mcapTvl !== null && mcapTvl !== undefined) {
+        if (mcapTvl < 0.5) {
+          score += rules.add("mcap_tvl", mcapTvl, "< 0.5", 1.5);
+          flags.push(`Deep value: MC/TVL ${mcapTvl.toFixed(2)}x (below locked value)`);
+        } else if (mcapTvl < 1) {
+          score += rules.add("mcap_tvl", mcapTvl, "0.5-1", 1.2);
+          flags.push(`Undervalued vs TVL: MC/TVL ${mcapTvl.toFixed(2)}x`);
+        } else if (mcapTvl < 3) {
+          score += rules.add("mcap_tvl", mcapTvl, "1-3", 0.6);
+          flags.push(`Healthy MC/TVL: ${mcapTvl.toFixed(2)}x`);
+        } else if (mcapTvl < 10) {
+          flags.push(`Fair MC/TVL: ${mcapTvl.toFixed(2)}x`);
+        } else {
+          score += rules.add("mcap_tvl", mcapTvl, ">= 10", -0.8);
+          warnings.push(`Rich valuation: MC/TVL ${mcapTvl.toFixed(1)}x`);
+        }
+      }
+
+      // Absolute TVL
+      if (tvl > 1000000000) {
+        score += rules.add("tvl", tvl, "> $1B", 0.8);
+        flags.push(`🏦 Major protocol: $${(tvl / 1e9).toFixed(2)}B TVL`);
+      } else if (tvl > 100000000) {
+        score += rules.add("tvl", tvl, "$100M-$1B", 0.5);
+        flags.push(`Large TVL: $${(tvl / 1e6).toFixed(0)}M`);
+      } else if (tvl > 10000000) {
+        score += rules.add("tvl", tvl, "$10M-$100M", 0.2);
+        flags.push(`Moderate TVL: $${(tvl / 1e6).toFixed(1)}M`);
+      } else if (tvl < 1000000) {
+        score += rules.add("tvl", tvl, "< $1M", -0.3);
+        warnings.push(`Small TVL: $${(tvl / 1e3).toFixed(0)}K`);
+      }
+
+      // TVL trend (simulated data already scored tvl_change_7d above)
+      if (onchainData.tvl_change_7d === undefined) {
+        const change7d = tvlData.change_7d || 0;
+        const change1m = tvlData.change_1m || 0;
+
+        if (change7d > 20) {
+          score += rules.add("defillama_tvl_change_7d", change7d, "> 20%", 0.6);
+          flags.push(`TVL surging: +${change7d.toFixed(1)}% (7d)`);
+        } else if (change7d > 5) {
+          score += rules.add("defillama_tvl_change_7d", change7d, "5-20%", 0.3);
+          flags.push(`TVL growing: +${change7d.toFixed(1)}% (7d)`);
+        } else if (change7d < -20) {
+          score += rules.add(
+            "defillama_tvl_change_7d",
+            change7d,
+            "< -20%",
+            -0.8
+          );
+          redFlags.push(`TVL outflow: ${change7d.toFixed(1)}% (7d)`);
+        } else if (change7d < -10) {
+          score += rules.add(
+            "defillama_tvl_change_7d",
+            change7d,
+            "-20% to -10%",
+            -0.4
+          );
+          warnings.push(`TVL declining: ${change7d.toFixed(1)}% (7d)`);
+        }
+
+        if (change1m > 30) {
+          score += rules.add("defillama_tvl_change_1m", change1m, "> 30%", 0.4);
+          flags.push(`Strong monthly TVL growth: +${change1m.toFixed(1)}%`);
+        } else if (change1m < -30) {
+          score += rules.add(
+            "defillama_tvl_change_1m",
+            change1m,
+            "< -30%",
+            -0.6
+          );
+          warnings.push(`Monthly TVL drop: ${change1m.toFixed(1)}%`);
+        }
+      }
+
+      // Category risk profile
+      const establishedCategories = [
+        "Dexs",
+        "Lending",
+        "Liquid Staking",
+        "CDP",
+        "Derivatives",
+        "Bridge"
+      ];
+      const riskyCategories = ["Algo-Stables", "Farm", "Yield Aggregator"];
+
+      if (establishedCategories.includes(tvlData.category)) {
+        score += rules.add(
+          "defi_category",
+          tvlData.category,
+          "established",
+          0.2
+        );
+        flags.push(`Established DeFi category: ${tvlData.category}`);
+      } else if (riskyCategories.includes(tvlData.category)) {
+        score += rules.add(
+          "defi_category",
+          tvlData.category,
+          "higher-risk",
+          -0.3
+        );
+        warnings.push(`Higher-risk DeFi category: ${tvlData.category}`);
+      }
+    }
+
     // === FINAL SCORE ===
     const finalScore = Math.max(0, Math.min(10, parseFloat(score.toFixed(2))));
 
@@ -946,6 +1734,11 @@ class ScoringEngine {
             : "N/A",
         chain_count: chainCount,
         is_multichain: isMultichain,
+        tvl: tvlData?.tvl || null,
+        mcap_tvl_ratio:
+          tvlData?.mcap_tvl_ratio !== null && tvlData?.mcap_tvl_ratio !== undefined
+            ? parseFloat(tvlData.mcap_tvl_ratio.toFixed(2))
+            : null,
         chains_detail: chainList.map((c) => ({
           chain: JSON.stringify(c.chain),
           holders: c.total_holders || 0,
@@ -959,6 +1752,7 @@ class ScoringEngine {
       flags: flags,
       warnings: warnings,
       red_flags: redFlags,
+      breakdown: rules.summarize(finalScore),
       data_quality: dataQuality,
       data_source: onchainData.data_source,
       confidence_level:
@@ -971,6 +1765,134 @@ class ScoringEngine {
           : "Using root-level data"
     };
   }
+
+  /**
+   * On-chain score for native L1 coins from network metrics: usage, fees,
+   * security (hash rate or validator set) and supply issuance
+   * @param {Object} onchainData - NativeChainService / SolanaService network metrics,
+   *   or estimateNativeMetrics output when no provider answered
+   */
+  scoreNativeOnchain(onchainData) {
+    let score = 5;
+    const flags = [];
+    const warnings = [];
+    const redFlags = [];
+    const rules = new ScoreBreakdown("onchain", score);
+
+    const txs = onchainData.transactions_24h;
+    const fee = onchainData.median_fee_usd ?? onchainData.avg_fee_usd;
+    const hashRate = onchainData.hash_rate;
+    const validators = onchainData.validators;
+    const issuance = onchainData.annual_issuance_pct;
+    // Shown but not scored: no native stats provider reports it today
+    const activeAddresses = onchainData.active_addresses_24h ?? null;
+
+    if (onchainData.estimated) {
+      warnings.push("Network stats unavailable, on-chain score is neutral");
+    }
+
+    // === 1. USAGE ===
+    if (txs !== null && txs !== undefined) {
+      if (txs > 1000000) {
+        score += rules.add("transactions_24h", txs, "> 1,000,000", 2);
+        flags.push(`Heavy network usage: ${txs.toLocaleString()} tx/24h`);
+      } else if (txs > 250000) {
+        score += rules.add("transactions_24h", txs, "250,001-1,000,000", 1.5);
+        flags.push(`Strong network usage: ${txs.toLocaleString()} tx/24h`);
+      } else if (txs > 50000) {
+        score += rules.add("transactions_24h", txs, "50,001-250,000", 0.8);
+      } else if (txs > 5000) {
+        score += rules.add("transactions_24h", txs, "5,001-50,000", 0);
+      } else {
+        score += rules.add("transactions_24h", txs, "<= 5,000", -1);
+        warnings.push(`Low network usage: ${txs.toLocaleString()} tx/24h`);
+      }
+    }
+
+    // === 2. FEES (high fees price out everyday use) ===
+    if (fee !== null && fee !== undefined) {
+      if (fee < 0.5) {
+        score += rules.add("fee_usd", fee, "< $0.50", 0.5);
+      } else if (fee > 20) {
+        score += rules.add("fee_usd", fee, "> $20", -1);
+        warnings.push(`Expensive transactions: $${fee.toFixed(2)} median fee`);
+      } else if (fee > 5) {
+        score += rules.add("fee_usd", fee, "$5-$20", -0.5);
+      }
+    }
+
+    // === 3. SECURITY ===
+    if (hashRate) {
+      // H/s: 100 EH/s is Bitcoin-class security
+      if (hashRate > 1e20) {
+        score += rules.add("hash_rate", hashRate, "> 100 EH/s", 1.5);
+        flags.push("🛡️ Very high hash rate");
+      } else if (hashRate > 1e18) {
+        score += rules.add("hash_rate", hashRate, "1-100 EH/s", 0.8);
+      } else {
+        score += rules.add("hash_rate", hashRate, "< 1 EH/s", -0.5);
+        warnings.push("Low hash rate: cheaper to attack");
+      }
+    } else if (validators) {
+      if (validators > 1000) {
+        score += rules.add("validators", validators, "> 1,000", 1.5);
+        flags.push(`🛡️ ${validators.toLocaleString()} active validators`);
+      } else if (validators > 100) {
+        score += rules.add("validators", validators, "101-1,000", 0.8);
+      } else {
+        score += rules.add("validators", validators, "<= 100", -1);
+        redFlags.push(`Small validator set: ${validators} validators`);
+      }
+    }
+
+    // === 4. SUPPLY ISSUANCE ===
+    if (issuance !== null && issuance !== undefined) {
+      if (issuance <= 0) {
+        score += rules.add("annual_issuance", issuance, "<= 0% (deflationary)", 1);
+        flags.push("Net deflationary supply");
+      } else if (issuance < 2) {
+        score += rules.add("annual_issuance", issuance, "< 2%", 0.8);
+        flags.push(`Low issuance: ${issuance.toFixed(2)}%/year`);
+      } else if (issuance < 5) {
+        score += rules.add("annual_issuance", issuance, "2-5%", 0);
+      } else if (issuance < 10) {
+        score += rules.add("annual_issuance", issuance, "5-10%", -0.5);
+        warnings.push(`High issuance: ${issuance.toFixed(2)}%/year`);
+      } else {
+        score += rules.add("annual_issuance", issuance, ">= 10%", -1.5);
+        redFlags.push(`Very high issuance: ${issuance.toFixed(2)}%/year`);
+      }
+    }
+
+    const finalScore = Math.max(0, Math.min(10, parseFloat(score.toFixed(2))));
+
+    return {
+      score: finalScore,
+      details: {
+        chain: onchainData.chain || onchainData.chain_info?.primary || null,
+        native: true,
+        transactions_24h: txs ?? null,
+        active_addresses_24h: activeAddresses,
+        active_addresses_note:
+          activeAddresses === null
+            ? "Active addresses unavailable: not reported by the network stats provider"
+            : null,
+        avg_fee_usd: onchainData.avg_fee_usd ?? null,
+        median_fee_usd: onchainData.median_fee_usd ?? null,
+        hash_rate: hashRate ?? null,
+        validators: validators ?? null,
+        nodes: onchainData.nodes ?? null,
+        circulating_supply: onchainData.circulating_supply ?? null,
+        annual_issuance_pct: issuance ?? null
+      },
+      flags: flags,
+      warnings: warnings,
+      red_flags: redFlags,
+      breakdown: rules.summarize(finalScore),
+      data_quality: onchainData.estimated ? "low" : "high",
+      data_source: onchainData.data_source
+    };
+  }
 }
 
 module.exports = new ScoringEngine();
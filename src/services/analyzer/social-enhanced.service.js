@@ -1,6 +1,4 @@
-const twitterAPI = require('../real/twitter-api.service');
-const redditService = require('../real/reddit.service');
-const githubService = require('../real/github.service');
+const providers = require('../providers');
 const socialMock = require('../mock/social.mock');
 const config = require('../../config');
 const logger = require('../../utils/logger');
@@ -9,17 +7,21 @@ class SocialEnhancedService {
   async getSocialMetrics(ticker, coinName, marketCap) {
     logger.info(`[SocialEnhanced] Fetching social metrics for ${ticker}`);
     
-    // Parallel fetch from all sources
+    const twitterAPI = providers.get('twitter_api');
+    const redditService = providers.get('reddit');
+    const githubService = providers.get('github');
+
+    // Parallel fetch from all active sources
     const [twitterData, redditData, githubData] = await Promise.all([
-      twitterAPI.getAccountMetrics(ticker).catch(err => {
+      twitterAPI && twitterAPI.getAccountMetrics(ticker).catch(err => {
         logger.warn(`Twitter API failed: ${err.message}`);
         return null;
       }),
-      redditService.getCommunityMetrics(ticker, coinName).catch(err => {
+      redditService && redditService.getCommunityMetrics(ticker, coinName).catch(err => {
         logger.warn(`Reddit API failed: ${err.message}`);
         return null;
       }),
-      githubService.getDevActivity(ticker, coinName).catch(err => {
+      githubService && githubService.getDevActivity(ticker, coinName).catch(err => {
         logger.warn(`GitHub API failed: ${err.message}`);
         return null;
       })
@@ -0,0 +1,60 @@
+const config = require('../../config');
+
+/**
+ * Seeded random numbers for the mock generators, so the same seed and
+ * ticker always produce the same "random" data
+ */
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Random generator (mulberry32) for a seed and stream keys
+ * @param {string|number|null} seed - Defaults to config.mock.seed; 'random' gives unseeded Math.random
+ * @param {...string} keys - Separate streams per generator/ticker, e.g. ('social', 'BTC')
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed, ...keys) {
+  const resolved = seed === undefined || seed === null || seed === '' ? config.mock.seed : String(seed);
+
+  if (resolved === 'random') {
+    return Math.random;
+  }
+
+  let state = hashString([resolved, ...keys].join(':'));
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Value +/- variance (fraction of value), clamped to [min, max]
+ * @param {Function} random - Generator from createRandom
+ */
+function addVariance(random, value, variance, min, max) {
+  const randomFactor = (random() - 0.5) * 2; // -1 to 1
+  const newValue = value + (value * variance * randomFactor);
+  return Math.max(min, Math.min(max, newValue));
+}
+
+module.exports = {
+  createRandom,
+  addVariance,
+  hashString
+};
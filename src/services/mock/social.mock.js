@@ -1,14 +1,16 @@
 const config = require('../../config');
 const logger = require('../../utils/logger');
+const { createRandom, addVariance } = require('./random');
 
 class SocialMockService {
   constructor() {
     this.variance = config.mock.dataVariance;
   }
 
-  // Simulate LunarCrush-style social metrics
-  generateSocialMetrics(ticker, marketCap, twitterFollowers) {
+  // Simulate LunarCrush-style social metrics (seeded: same seed + ticker, same values)
+  generateSocialMetrics(ticker, marketCap, twitterFollowers, options = {}) {
     logger.info(`Generating mock social data for ${ticker}`);
+    const random = createRandom(options.seed, 'social', ticker.toUpperCase());
 
     // Base score on market cap tier
     const baseScore = this.getBaseScoreFromMarketCap(marketCap);
@@ -18,12 +20,13 @@ class SocialMockService {
                           twitterFollowers > 50000 ? 5 : 0;
 
     const galaxyScore = Math.min(100, 
-      this.addVariance(baseScore + followerBoost, 0, 100)
+      this.addVariance(random, baseScore + followerBoost, 0, 100)
     );
 
-    const altRank = this.calculateAltRank(marketCap);
+    const altRank = this.calculateAltRank(random, marketCap);
     
     const socialVolume = this.addVariance(
+      random,
       this.estimateSocialVolume(marketCap, twitterFollowers),
       1000,
       100000
@@ -38,8 +41,8 @@ class SocialMockService {
       social_volume_24h: Math.round(socialVolume),
       social_dominance: this.calculateDominance(marketCap),
       sentiment: sentiment,
-      influencer_mentions: Math.round(this.addVariance(galaxyScore / 2, 5, 200)),
-      reddit_engagement: Math.round(this.addVariance(socialVolume / 10, 100, 5000)),
+      influencer_mentions: Math.round(this.addVariance(random, galaxyScore / 2, 5, 200)),
+      reddit_engagement: Math.round(this.addVariance(random, socialVolume / 10, 100, 5000)),
       disclaimer: 'Simulated based on market cap and follower correlation',
       confidence_level: twitterFollowers > 0 ? 'medium' : 'low'
     };
@@ -53,12 +56,12 @@ class SocialMockService {
     return 35;
   }
 
-  calculateAltRank(marketCap) {
+  calculateAltRank(random, marketCap) {
     // Higher market cap = better rank (lower number)
-    if (marketCap > 10000000000) return Math.round(this.addVariance(50, 10, 100));
-    if (marketCap > 1000000000) return Math.round(this.addVariance(150, 100, 300));
-    if (marketCap > 100000000) return Math.round(this.addVariance(500, 300, 800));
-    return Math.round(this.addVariance(1500, 800, 3000));
+    if (marketCap > 10000000000) return Math.round(this.addVariance(random, 50, 10, 100));
+    if (marketCap > 1000000000) return Math.round(this.addVariance(random, 150, 100, 300));
+    if (marketCap > 100000000) return Math.round(this.addVariance(random, 500, 300, 800));
+    return Math.round(this.addVariance(random, 1500, 800, 3000));
   }
 
   estimateSocialVolume(marketCap, followers) {
@@ -84,11 +87,8 @@ class SocialMockService {
     return 'bearish';
   }
 
-  addVariance(value, min, max) {
-    const variance = value * this.variance;
-    const randomFactor = (Math.random() - 0.5) * 2; // -1 to 1
-    const newValue = value + (variance * randomFactor);
-    return Math.max(min, Math.min(max, newValue));
+  addVariance(random, value, min, max) {
+    return addVariance(random, value, this.variance, min, max);
   }
 }
 
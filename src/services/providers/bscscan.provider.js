@@ -0,0 +1,11 @@
+const config = require('../../config');
+const bscscanService = require('../real/bscscan.service');
+
+module.exports = {
+  name: 'bscscan',
+  label: 'BscScan API',
+  capabilities: ['holders'],
+  requiredConfig: ['apis.bscscan.apiKey'],
+  rateLimit: config.apis.bscscan.rateLimit,
+  service: bscscanService
+};
@@ -0,0 +1,9 @@
+const coingeckoService = require('../real/coingecko.service');
+
+module.exports = {
+  name: 'coingecko',
+  label: 'CoinGecko API',
+  capabilities: ['market'],
+  requiredConfig: [],
+  service: coingeckoService
+};
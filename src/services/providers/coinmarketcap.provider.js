@@ -0,0 +1,12 @@
+const coinmarketcapService = require('../real/coinmarketcap.service');
+const coingeckoService = require('../real/coingecko.service');
+
+module.exports = {
+  name: 'coinmarketcap',
+  label: 'CoinMarketCap API',
+  capabilities: ['market'],
+  requiredConfig: ['apis.coinmarketcap.apiKey'],
+  // Plain symbols only; coingecko:<id> / <chain>:<contract> are CoinGecko identifiers
+  supports: (identifier) => !coingeckoService.isExplicitIdentifier(identifier),
+  service: coinmarketcapService
+};
@@ -0,0 +1,9 @@
+const covalentService = require('../real/covalent.service');
+
+module.exports = {
+  name: 'covalent',
+  label: 'Covalent API',
+  capabilities: ['holders'],
+  requiredConfig: ['apis.covalent.apiKey'],
+  service: covalentService
+};
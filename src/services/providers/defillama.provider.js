@@ -0,0 +1,10 @@
+const defillamaService = require('../real/defilama.service');
+
+module.exports = {
+  name: 'defillama',
+  label: 'DefiLlama API',
+  capabilities: ['tvl'],
+  requiredConfig: [],
+  logService: 'defilama',
+  service: defillamaService
+};
@@ -0,0 +1,11 @@
+const config = require('../../config');
+const etherscanService = require('../real/etherscan.service');
+
+module.exports = {
+  name: 'etherscan',
+  label: 'Etherscan API',
+  capabilities: ['holders'],
+  requiredConfig: ['apis.etherscan.apiKey'],
+  rateLimit: config.apis.etherscan.rateLimit,
+  service: etherscanService
+};
@@ -0,0 +1,9 @@
+const githubService = require('../real/github.service');
+
+module.exports = {
+  name: 'github',
+  label: 'GitHub API',
+  capabilities: ['dev'],
+  requiredConfig: [],
+  service: githubService
+};
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const db = require('../../utils/database');
+const scheduler = require('../../utils/scheduler');
+
+const CAPABILITIES = ['market', 'tvl', 'unlocks', 'holders', 'network', 'social', 'dev'];
+
+// api_calls window used for provider health
+const HEALTH_WINDOW_MINUTES = 60;
+
+/**
+ * Provider Registry
+ * Every data source is a `*.provider.js` module in this directory declaring
+ * { name, label, capabilities, requiredConfig, rateLimit, service }. Adding a
+ * source is dropping in a module and listing its name in PROVIDERS.
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.enabled = new Set(config.providers.enabled);
+
+    this.loadDirectory(__dirname);
+
+    for (const name of this.enabled) {
+      if (!this.providers.has(name)) {
+        logger.warn(`[Providers] Ignoring unknown provider "${name}"`);
+      }
+    }
+  }
+
+  /**
+   * Register every `*.provider.js` module in a directory
+   * @private
+   */
+  loadDirectory(dir) {
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.provider.js'))
+      .sort()
+      .forEach(file => this.register(require(path.join(dir, file))));
+  }
+
+  /**
+   * @param {Object} definition - { name, label, capabilities, requiredConfig?, logService?, supports?, rateLimit?, service }
+   * @throws {Error} when the definition is incomplete or the name is taken
+   */
+  register(definition) {
+    const { name, capabilities, service } = definition;
+
+    if (!name || !service || !Array.isArray(capabilities) || capabilities.length === 0) {
+      throw new Error(`Provider "${name}" needs a name, capabilities and a service`);
+    }
+
+    const unknown = capabilities.filter(c => !CAPABILITIES.includes(c));
+    if (unknown.length > 0) {
+      throw new Error(`Provider "${name}" has unknown capabilities: ${unknown.join(', ')}`);
+    }
+
+    if (this.providers.has(name)) {
+      throw new Error(`Provider "${name}" is already registered`);
+    }
+
+    this.providers.set(name, {
+      label: name,
+      requiredConfig: [],
+      logService: name,
+      supports: () => true,
+      rateLimit: null,
+      ...definition
+    });
+
+    if (definition.rateLimit) {
+      scheduler.configure(name, definition.rateLimit);
+    }
+  }
+
+  getCapabilities() {
+    return CAPABILITIES;
+  }
+
+  /**
+   * @returns {Object|null} Provider definition, whether or not it is active
+   */
+  getDefinition(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Config keys (dot paths into config) the provider needs but doesn't have
+   */
+  getMissingConfig(name) {
+    const provider = this.getDefinition(name);
+    if (!provider) return [];
+
+    return provider.requiredConfig.filter(key => {
+      const value = key.split('.').reduce((node, part) => node?.[part], config);
+      return value === undefined || value === null || value === '';
+    });
+  }
+
+  /**
+   * Why a provider can't be used, in the wording of fallback attempt records
+   * @returns {string|null} null when the provider is active
+   */
+  getInactiveReason(name) {
+    if (!this.providers.has(name)) return 'unknown provider';
+    if (!this.enabled.has(name)) return 'disabled';
+    if (this.getMissingConfig(name).length > 0) return 'not configured';
+    return null;
+  }
+
+  isActive(name) {
+    return this.getInactiveReason(name) === null;
+  }
+
+  /**
+   * @returns {Object|null} The provider's service client, or null when inactive
+   */
+  get(name) {
+    return this.isActive(name) ? this.providers.get(name).service : null;
+  }
+
+  /**
+   * Active provider definitions offering a capability
+   */
+  byCapability(capability) {
+    return [...this.providers.values()].filter(p =>
+      p.capabilities.includes(capability) && this.isActive(p.name)
+    );
+  }
+
+  /**
+   * Every registered provider with its configuration state, recent health
+   * and remaining rate-limit quota (null for providers without limits)
+   * @param {string} [capability] - Only providers offering this capability
+   */
+  async list(capability = null) {
+    const stats = await this.getCallStats();
+    const providers = [...this.providers.values()]
+      .filter(p => !capability || p.capabilities.includes(capability));
+
+    return Promise.all(providers.map(async p => ({
+      name: p.name,
+      label: p.label,
+      capabilities: p.capabilities,
+      enabled: this.enabled.has(p.name),
+      configured: this.getMissingConfig(p.name).length === 0,
+      missing_config: this.getMissingConfig(p.name),
+      active: this.isActive(p.name),
+      health: this.getHealth(p, stats.get(p.logService)),
+      quota: await scheduler.getQuota(p.name)
+    })));
+  }
+
+  /**
+   * Health from the provider's api_calls over the last hour
+   * @private
+   */
+  getHealth(provider, stats) {
+    if (!this.isActive(provider.name)) {
+      return { status: 'inactive', reason: this.getInactiveReason(provider.name) };
+    }
+
+    if (!provider.logService) {
+      return { status: 'unknown', reason: 'calls are not logged' };
+    }
+
+    if (!stats || stats.calls === 0) {
+      return { status: 'idle', window_minutes: HEALTH_WINDOW_MINUTES, calls: 0 };
+    }
+
+    const errorRate = stats.errors / stats.calls;
+    let status = 'healthy';
+    if (errorRate === 1) status = 'down';
+    else if (errorRate >= 0.5) status = 'degraded';
+
+    return {
+      status,
+      window_minutes: HEALTH_WINDOW_MINUTES,
+      calls: stats.calls,
+      errors: stats.errors,
+      error_rate: parseFloat(errorRate.toFixed(3)),
+      avg_response_ms: Math.round(stats.avg_response_ms),
+      last_call_at: this.toISOString(stats.last_call_at),
+      last_error_at: this.toISOString(stats.last_error_at)
+    };
+  }
+
+  /**
+   * SQLite CURRENT_TIMESTAMP is UTC without a zone
+   * @private
+   */
+  toISOString(value) {
+    return value ? new Date(`${value.replace(' ', 'T')}Z`).toISOString() : null;
+  }
+
+  /**
+   * @returns {Map} logService -> api_calls stats; empty when the database is unavailable
+   * @private
+   */
+  async getCallStats() {
+    try {
+      const rows = await db.getApiCallStats(HEALTH_WINDOW_MINUTES);
+      return new Map(rows.map(row => [row.service, row]));
+    } catch (error) {
+      logger.warn('[Providers] API call stats unavailable:', error.message);
+      return new Map();
+    }
+  }
+}
+
+module.exports = new ProviderRegistry();
@@ -0,0 +1,9 @@
+const nativeChainService = require('../real/native-chain.service');
+
+module.exports = {
+  name: 'native_stats',
+  label: 'Native chain stats API',
+  capabilities: ['network'],
+  requiredConfig: ['apis.nativeStats.baseUrl'],
+  service: nativeChainService
+};
@@ -0,0 +1,11 @@
+const config = require('../../config');
+const polygonscanService = require('../real/polygonscan.service');
+
+module.exports = {
+  name: 'polygonscan',
+  label: 'PolygonScan API',
+  capabilities: ['holders'],
+  requiredConfig: ['apis.polygonscan.apiKey'],
+  rateLimit: config.apis.polygonscan.rateLimit,
+  service: polygonscanService
+};
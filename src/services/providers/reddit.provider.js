@@ -0,0 +1,9 @@
+const redditService = require('../real/reddit.service');
+
+module.exports = {
+  name: 'reddit',
+  label: 'Reddit API',
+  capabilities: ['social'],
+  requiredConfig: [],
+  service: redditService
+};
@@ -0,0 +1,11 @@
+const solanaService = require('../real/solana.service');
+
+module.exports = {
+  name: 'solana_rpc',
+  label: 'Solana JSON-RPC',
+  capabilities: ['holders', 'network'],
+  requiredConfig: ['apis.solana.rpcUrl'],
+  // Name the client logs API calls under
+  logService: 'solana',
+  service: solanaService
+};
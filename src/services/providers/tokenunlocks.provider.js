@@ -0,0 +1,9 @@
+const tokenUnlocksService = require('../real/tokenunlocks.service');
+
+module.exports = {
+  name: 'tokenunlocks',
+  label: 'TokenUnlocks API',
+  capabilities: ['unlocks'],
+  requiredConfig: [],
+  service: tokenUnlocksService
+};
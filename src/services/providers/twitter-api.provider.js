@@ -0,0 +1,9 @@
+const twitterAPI = require('../real/twitter-api.service');
+
+module.exports = {
+  name: 'twitter_api',
+  label: 'Twitter API',
+  capabilities: ['social'],
+  requiredConfig: ['apis.twitter.bearerToken'],
+  service: twitterAPI
+};
@@ -0,0 +1,11 @@
+const twitterService = require('../real/twitter.service');
+
+module.exports = {
+  name: 'twitter_scraper',
+  label: 'Twitter scraper',
+  capabilities: ['social'],
+  requiredConfig: [],
+  // Headless browser scraping, not recorded in api_calls
+  logService: null,
+  service: twitterService
+};
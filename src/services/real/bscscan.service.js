@@ -0,0 +1,13 @@
+const config = require('../../config');
+const ExplorerService = require('./explorer.service');
+
+/**
+ * BscScan Service
+ * BNB Smart Chain token holder metrics
+ */
+module.exports = new ExplorerService({
+  name: 'bscscan',
+  label: 'BscScan',
+  chain: 'bsc',
+  apiConfig: config.apis.bscscan
+});
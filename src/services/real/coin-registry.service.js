@@ -0,0 +1,207 @@
+const http = require('../../utils/http');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const db = require('../../utils/database');
+
+/**
+ * Coin Registry
+ * Local SQLite copy of CoinGecko's /coins/list (with contract addresses per
+ * platform), so resolving a ticker doesn't refetch the multi-megabyte list
+ */
+class CoinRegistryService {
+  constructor() {
+    this.baseUrl = config.apis.coingecko.baseUrl;
+    this.apiKey = config.apis.coingecko.apiKey;
+    this.timeout = config.registry.timeout;
+    this.syncIntervalMs = config.registry.syncIntervalMs;
+
+    this.stats = null;
+    this.syncing = null;
+    this.timer = null;
+  }
+
+  /**
+   * Sync now if the registry is empty or stale, then on every interval
+   */
+  start() {
+    this.ensureFresh().catch(() => {});
+
+    this.timer = setInterval(() => {
+      this.sync().catch(() => {});
+    }, this.syncIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Fetch the coin list and replace the registry. Concurrent callers share one sync.
+   * @returns {Object} { coins, synced_at }
+   */
+  async sync() {
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null;
+      });
+    }
+
+    return this.syncing;
+  }
+
+  /**
+   * @private
+   */
+  async runSync() {
+    const startTime = Date.now();
+
+    try {
+      const response = await http.get(`${this.baseUrl}/coins/list`, {
+        params: { include_platform: true },
+        provider: 'coingecko',
+        timeout: this.timeout,
+        headers: this.headers()
+      });
+
+      const ranks = await this.getTopRanks();
+      const coins = response.data.map(c => ({
+        id: c.id,
+        symbol: c.symbol,
+        name: c.name,
+        market_cap_rank: ranks.get(c.id) || null,
+        platforms: c.platforms
+      }));
+
+      const written = await db.replaceCoins(coins);
+      await db.logApiCall('coingecko', '/coins/list', 200, Date.now() - startTime);
+
+      this.stats = await db.getCoinRegistryStats();
+      logger.info(`[CoinRegistry] Synced ${written.coins} coins, ${written.platforms} contract addresses`, {
+        responseTime: Date.now() - startTime
+      });
+
+      return this.getStatus();
+
+    } catch (error) {
+      const status = error.response?.status || 500;
+      await db.logApiCall('coingecko', '/coins/list', status, Date.now() - startTime).catch(() => {});
+
+      logger.error('[CoinRegistry] Sync failed:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Market cap ranks for the top coins, used to order search results
+   * @private
+   */
+  async getTopRanks() {
+    try {
+      const response = await http.get(`${this.baseUrl}/coins/markets`, {
+        params: { vs_currency: 'usd', order: 'market_cap_desc', per_page: 250, page: 1 },
+        provider: 'coingecko',
+        timeout: this.timeout,
+        headers: this.headers()
+      });
+
+      return new Map(response.data.map(m => [m.id, m.market_cap_rank]));
+    } catch (error) {
+      logger.warn('[CoinRegistry] Market cap ranks unavailable:', error.message);
+      return new Map();
+    }
+  }
+
+  /**
+   * Block on a first sync when empty; refresh in the background when stale
+   * @returns {boolean} true when the registry has coins to serve
+   */
+  async ensureFresh() {
+    if (!this.stats) {
+      this.stats = await db.getCoinRegistryStats();
+    }
+
+    if (this.stats.coins === 0) {
+      await this.sync();
+      return this.stats.coins > 0;
+    }
+
+    if (this.isStale()) {
+      this.sync().catch(() => {});
+    }
+
+    return true;
+  }
+
+  isStale() {
+    if (!this.stats?.synced_at) return true;
+    return Date.now() - this.parseTimestamp(this.stats.synced_at) > this.syncIntervalMs;
+  }
+
+  /**
+   * Coins whose symbol, id or name equals the query
+   * @returns {Array|null} null when the registry can't be used (caller falls back to the API)
+   */
+  async findMatches(query) {
+    try {
+      if (!(await this.ensureFresh())) return null;
+      return await db.findCoins(query);
+    } catch (error) {
+      logger.warn('[CoinRegistry] Lookup unavailable, using the API:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * @returns {string|null} CoinGecko id for a contract on a platform
+   */
+  async findByContract(platform, address) {
+    try {
+      if (!(await this.ensureFresh())) return null;
+      const coin = await db.findCoinByContract(platform, address);
+      return coin ? coin.id : null;
+    } catch (error) {
+      logger.warn('[CoinRegistry] Contract lookup unavailable, using the API:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Autocomplete over symbol, name and id
+   */
+  async search(query, limit = 10) {
+    await this.ensureFresh();
+    return db.searchCoins(query, limit);
+  }
+
+  getStatus() {
+    return {
+      coins: this.stats?.coins || 0,
+      synced_at: this.stats?.synced_at
+        ? new Date(this.parseTimestamp(this.stats.synced_at)).toISOString()
+        : null,
+      stale: this.isStale(),
+      syncing: !!this.syncing
+    };
+  }
+
+  /**
+   * SQLite CURRENT_TIMESTAMP is UTC without a zone
+   * @private
+   */
+  parseTimestamp(value) {
+    return new Date(`${value.replace(' ', 'T')}Z`).getTime();
+  }
+
+  /**
+   * @private
+   */
+  headers() {
+    return this.apiKey ? { 'x-cg-pro-api-key': this.apiKey } : {};
+  }
+}
+
+module.exports = new CoinRegistryService();
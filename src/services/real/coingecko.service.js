@@ -1,28 +1,54 @@
-const axios = require('axios');
+const http = require('../../utils/http');
 const config = require('../../config');
 const logger = require('../../utils/logger');
 const db = require('../../utils/database');
+const coinRegistry = require('./coin-registry.service');
+const SingleFlight = require('../../utils/single-flight');
 
 class CoinGeckoService {
   constructor() {
     this.baseUrl = config.apis.coingecko.baseUrl;
     this.apiKey = config.apis.coingecko.apiKey;
     this.timeout = config.apis.coingecko.timeout;
+
+    // Chain aliases accepted in "<chain>:<contract>" identifiers -> CoinGecko platform ids
+    this.chainAliases = {
+      eth: 'ethereum',
+      ethereum: 'ethereum',
+      bsc: 'binance-smart-chain',
+      bnb: 'binance-smart-chain',
+      polygon: 'polygon-pos',
+      matic: 'polygon-pos',
+      solana: 'solana',
+      sol: 'solana',
+      avalanche: 'avalanche',
+      avax: 'avalanche',
+      arbitrum: 'arbitrum-one',
+      optimism: 'optimistic-ethereum',
+      base: 'base'
+    };
+
+    // A runner-up ranked within this factor of the best market cap rank
+    // makes a symbol ambiguous (e.g. ranks 40 and 70)
+    this.ambiguityRankRatio = 2;
+
+    // Concurrent analyses of the same coin share one id lookup
+    this.lookups = new SingleFlight();
   }
 
   async getCoinData(ticker) {
     const startTime = Date.now();
     
     try {
-      // First, find the coin ID from ticker
-      const coinId = await this.findCoinId(ticker);
+      // First, resolve the ticker / explicit identifier to a coin ID
+      const coinId = await this.resolveCoinId(ticker);
       
       if (!coinId) {
         throw new Error(`Coin ${ticker} not found on CoinGecko`);
       }
 
       // Get comprehensive coin data
-      const response = await axios.get(
+      const response = await http.get(
         `${this.baseUrl}/coins/${coinId}`,
         {
           params: {
@@ -32,6 +58,7 @@ class CoinGeckoService {
             community_data: false,
             developer_data: false
           },
+          provider: 'coingecko',
           timeout: this.timeout,
           headers: this.apiKey ? { 'x-cg-pro-api-key': this.apiKey } : {}
         }
@@ -71,6 +98,9 @@ class CoinGeckoService {
       return result;
 
     } catch (error) {
+      // Resolved locally from /coins/list, not an API failure
+      if (error.code === 'AMBIGUOUS_TICKER') throw error;
+
       const status = error.response?.status || 500;
       await db.logApiCall('coingecko', `/coins/${ticker}`, status, Date.now() - startTime);
       
@@ -78,29 +108,208 @@ class CoinGeckoService {
         message: error.message,
         status: status
       });
+
+      // Unknown explicit id
+      if (error.response?.status === 404) {
+        throw new Error(`Coin ${ticker} not found on CoinGecko`);
+      }
       
       throw error;
     }
   }
 
+  /**
+   * Split "coingecko:<id>", "<chain>:<contract>" or a plain symbol
+   * @param {string} identifier - Value from /api/analyze/:ticker
+   * @returns {Object} { type: 'id'|'contract'|'symbol', ... }
+   */
+  parseIdentifier(identifier) {
+    const value = identifier.trim();
+    const separator = value.indexOf(':');
+
+    if (separator === -1) {
+      return { type: 'symbol', symbol: value };
+    }
+
+    const prefix = value.slice(0, separator).toLowerCase();
+    const rest = value.slice(separator + 1).trim();
+
+    if (prefix === 'coingecko' || prefix === 'cg') {
+      return { type: 'id', id: rest.toLowerCase() };
+    }
+
+    return {
+      type: 'contract',
+      platform: this.chainAliases[prefix] || prefix,
+      // EVM addresses are case-insensitive, Solana mints are not
+      address: rest.startsWith('0x') ? rest.toLowerCase() : rest
+    };
+  }
+
+  isExplicitIdentifier(identifier) {
+    return this.parseIdentifier(identifier).type !== 'symbol';
+  }
+
+  async resolveCoinId(identifier) {
+    const parsed = this.parseIdentifier(identifier);
+
+    if (parsed.type === 'id') {
+      return parsed.id;
+    }
+
+    if (parsed.type === 'contract') {
+      return this.findCoinIdByContract(parsed.platform, parsed.address);
+    }
+
+    return this.findCoinId(parsed.symbol);
+  }
+
+  async findCoinIdByContract(platform, address) {
+    return this.lookups.run(`contract:${platform}:${address}`, () => this.lookupCoinIdByContract(platform, address));
+  }
+
+  /**
+   * @private
+   */
+  async lookupCoinIdByContract(platform, address) {
+    const registered = await coinRegistry.findByContract(platform, address);
+    if (registered) return registered;
+
+    try {
+      const response = await http.get(
+        `${this.baseUrl}/coins/${platform}/contract/${address}`,
+        {
+          provider: 'coingecko',
+          timeout: this.timeout,
+          headers: this.apiKey ? { 'x-cg-pro-api-key': this.apiKey } : {}
+        }
+      );
+
+      return response.data?.id || null;
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+
+      logger.error('Error finding coin by contract:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a symbol to a coin ID, preferring the highest market cap rank.
+   * Exact id/name matches count as candidates too (e.g. "uniswap").
+   * @throws {Error} code AMBIGUOUS_TICKER with `candidates` when no clear winner
+   */
   async findCoinId(ticker) {
+    const query = ticker.toLowerCase();
+    return this.lookups.run(`symbol:${query}`, () => this.lookupCoinId(ticker, query));
+  }
+
+  /**
+   * @private
+   */
+  async lookupCoinId(ticker, query) {
     try {
-      const response = await axios.get(`${this.baseUrl}/coins/list`, {
-        timeout: this.timeout,
-        headers: this.apiKey ? { 'x-cg-pro-api-key': this.apiKey } : {}
-      });
+      const matches = await this.findListMatches(query);
+
+      if (matches.length === 0) return null;
+      if (matches.length === 1) return matches[0].id;
+
+      const candidates = await this.rankCandidates(matches, query);
+      const [best, runnerUp] = candidates;
 
-      const coin = response.data.find(
-        c => c.symbol.toLowerCase() === ticker.toLowerCase()
+      const clearWinner =
+        best.market_cap_rank !== null &&
+        (runnerUp.market_cap_rank === null ||
+          runnerUp.market_cap_rank > best.market_cap_rank * this.ambiguityRankRatio);
+
+      if (clearWinner) {
+        logger.info(`Resolved ${ticker} to ${best.id} (rank ${best.market_cap_rank}) out of ${candidates.length} candidates`);
+        return best.id;
+      }
+
+      const error = new Error(
+        `Ticker ${ticker} matches ${candidates.length} coins on CoinGecko`
       );
+      error.code = 'AMBIGUOUS_TICKER';
+      error.candidates = candidates.slice(0, 10);
+      throw error;
 
-      return coin?.id || null;
     } catch (error) {
-      logger.error('Error finding coin ID:', error.message);
-      return null;
+      if (error.code !== 'AMBIGUOUS_TICKER') {
+        logger.error('Error finding coin ID:', error.message);
+      }
+      throw error;
     }
   }
 
+  /**
+   * Coins whose symbol, id or name equals the query. Served from the local
+   * registry; /coins/list is only fetched when the registry is unavailable.
+   * @private
+   */
+  async findListMatches(query) {
+    const registered = await coinRegistry.findMatches(query);
+    if (registered) return registered;
+
+    const response = await http.get(`${this.baseUrl}/coins/list`, {
+      provider: 'coingecko',
+      timeout: this.timeout,
+      headers: this.apiKey ? { 'x-cg-pro-api-key': this.apiKey } : {}
+    });
+
+    return response.data.filter(
+      c =>
+        c.symbol.toLowerCase() === query ||
+        c.id.toLowerCase() === query ||
+        c.name.toLowerCase() === query
+    );
+  }
+
+  /**
+   * Attach market cap rank and sort: rank, then exact id match, then exact name match
+   * @private
+   */
+  async rankCandidates(matches, query) {
+    let markets = [];
+
+    try {
+      const response = await http.get(`${this.baseUrl}/coins/markets`, {
+        params: {
+          vs_currency: 'usd',
+          ids: matches.slice(0, 250).map(c => c.id).join(','),
+          per_page: 250
+        },
+        provider: 'coingecko',
+        timeout: this.timeout,
+        headers: this.apiKey ? { 'x-cg-pro-api-key': this.apiKey } : {}
+      });
+      markets = response.data || [];
+    } catch (error) {
+      logger.warn('Could not rank candidates by market cap:', error.message);
+    }
+
+    const byId = new Map(markets.map(m => [m.id, m]));
+
+    return matches
+      .map(c => ({
+        id: c.id,
+        symbol: c.symbol.toUpperCase(),
+        name: c.name,
+        market_cap_rank: byId.get(c.id)?.market_cap_rank || null,
+        market_cap: byId.get(c.id)?.market_cap || null,
+        exact_id: c.id.toLowerCase() === query,
+        exact_name: c.name.toLowerCase() === query
+      }))
+      .sort((a, b) => {
+        const rankA = a.market_cap_rank ?? Infinity;
+        const rankB = b.market_cap_rank ?? Infinity;
+        if (rankA !== rankB) return rankA - rankB;
+        if (a.exact_id !== b.exact_id) return a.exact_id ? -1 : 1;
+        if (a.exact_name !== b.exact_name) return a.exact_name ? -1 : 1;
+        return a.id.localeCompare(b.id);
+      });
+  }
+
   getBinanceVolume(tickers) {
     if (!tickers || !Array.isArray(tickers)) return 0;
 
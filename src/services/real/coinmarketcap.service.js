@@ -0,0 +1,189 @@
+const http = require('../../utils/http');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const db = require('../../utils/database');
+
+/**
+ * CoinMarketCap Service
+ * Alternative market data source returning the same shape as CoinGeckoService.getCoinData
+ */
+class CoinMarketCapService {
+  constructor() {
+    this.baseUrl = config.apis.coinmarketcap.baseUrl;
+    this.apiKey = config.apis.coinmarketcap.apiKey;
+    this.timeout = config.apis.coinmarketcap.timeout;
+
+    // CMC platform names -> CoinGecko platform ids (used by ChainDetector)
+    this.platformMap = [
+      [/^ethereum$/i, 'ethereum'],
+      [/bnb smart chain|binance smart chain|bsc/i, 'binance-smart-chain'],
+      [/^solana$/i, 'solana'],
+      [/polygon/i, 'polygon-pos'],
+      [/avalanche/i, 'avalanche'],
+      [/arbitrum/i, 'arbitrum-one'],
+      [/optimism/i, 'optimistic-ethereum']
+    ];
+  }
+
+  get enabled() {
+    return !!this.apiKey;
+  }
+
+  async getCoinData(ticker) {
+    const startTime = Date.now();
+    const symbol = ticker.toUpperCase();
+
+    if (!this.enabled) {
+      throw new Error('CoinMarketCap API key not configured');
+    }
+
+    try {
+      const response = await http.get(`${this.baseUrl}/cryptocurrency/quotes/latest`, {
+        params: { symbol, convert: 'USD' },
+        provider: 'coinmarketcap',
+        timeout: this.timeout,
+        headers: this.headers()
+      });
+
+      const coin = response.data.data?.[symbol];
+
+      if (!coin) {
+        throw new Error(`Coin ${ticker} not found on CoinMarketCap`);
+      }
+
+      const quote = coin.quote?.USD || {};
+      const [platforms, binanceVolume] = await Promise.all([
+        this.getPlatforms(symbol),
+        this.getBinanceVolume(symbol)
+      ]);
+
+      const result = {
+        id: coin.slug,
+        cmc_id: coin.id,
+        platforms,
+        symbol: coin.symbol.toUpperCase(),
+        name: coin.name,
+        price_usd: quote.price || 0,
+        market_cap: quote.market_cap || 0,
+        total_volume_24h: quote.volume_24h || 0,
+        circulating_supply: coin.circulating_supply || 0,
+        total_supply: coin.total_supply || 0,
+        max_supply: coin.max_supply || null,
+        price_change_24h: quote.percent_change_24h || 0,
+        // Not exposed by the quotes endpoint
+        ath: 0,
+        ath_change_percentage: 0,
+        liquidity: {
+          binance_volume: binanceVolume,
+          total_volume: quote.volume_24h || 0,
+          volume_to_market_cap: this.calculateVolumeRatio(
+            quote.volume_24h,
+            quote.market_cap
+          )
+        }
+      };
+
+      await db.logApiCall('coinmarketcap', '/cryptocurrency/quotes/latest', 200, Date.now() - startTime);
+      logger.info(`CoinMarketCap data fetched for ${ticker}`, { responseTime: Date.now() - startTime });
+
+      return result;
+
+    } catch (error) {
+      const status = error.response?.status || 500;
+      await db.logApiCall('coinmarketcap', '/cryptocurrency/quotes/latest', status, Date.now() - startTime);
+
+      logger.error(`CoinMarketCap API error for ${ticker}:`, {
+        message: error.message,
+        status: status
+      });
+
+      // CMC answers 400 "Invalid value for symbol" for unknown tickers
+      if (status === 400 && /symbol/i.test(error.response?.data?.status?.error_message || '')) {
+        throw new Error(`Coin ${ticker} not found on CoinMarketCap`);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Contract addresses keyed by CoinGecko platform id
+   * @private
+   */
+  async getPlatforms(symbol) {
+    try {
+      const response = await http.get(`${this.baseUrl}/cryptocurrency/info`, {
+        params: { symbol },
+        provider: 'coinmarketcap',
+        timeout: this.timeout,
+        headers: this.headers()
+      });
+
+      const info = response.data.data?.[symbol];
+      const platforms = {};
+
+      for (const entry of info?.contract_address || []) {
+        const name = entry.platform?.name || '';
+        const match = this.platformMap.find(([pattern]) => pattern.test(name));
+
+        if (match && !platforms[match[1]]) {
+          platforms[match[1]] = entry.contract_address;
+        }
+      }
+
+      // Older responses only carry the main platform
+      if (Object.keys(platforms).length === 0 && info?.platform?.token_address) {
+        const match = this.platformMap.find(([pattern]) => pattern.test(info.platform.name));
+        if (match) platforms[match[1]] = info.platform.token_address;
+      }
+
+      return platforms;
+    } catch (error) {
+      logger.warn(`CoinMarketCap info unavailable for ${symbol}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * 24h Binance volume from market pairs.
+   * Returns null when the plan has no access to market pairs so the
+   * Binance share isn't scored as if it were zero.
+   * @private
+   */
+  async getBinanceVolume(symbol) {
+    try {
+      const response = await http.get(`${this.baseUrl}/cryptocurrency/market-pairs/latest`, {
+        params: { symbol, convert: 'USD', limit: 200 },
+        provider: 'coinmarketcap',
+        timeout: this.timeout,
+        headers: this.headers()
+      });
+
+      const pairs = response.data.data?.market_pairs || [];
+
+      return pairs
+        .filter(p => p.exchange?.name?.toLowerCase().includes('binance'))
+        .reduce((sum, p) => sum + (p.quote?.USD?.volume_24h || 0), 0);
+    } catch (error) {
+      logger.warn(`CoinMarketCap market pairs unavailable for ${symbol}:`, error.message);
+      return null;
+    }
+  }
+
+  calculateVolumeRatio(volume, marketCap) {
+    if (!volume || !marketCap || marketCap === 0) return 0;
+    return (volume / marketCap) * 100;
+  }
+
+  /**
+   * @private
+   */
+  headers() {
+    return {
+      'X-CMC_PRO_API_KEY': this.apiKey,
+      Accept: 'application/json'
+    };
+  }
+}
+
+module.exports = new CoinMarketCapService();
@@ -0,0 +1,143 @@
+const http = require('../../utils/http');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const db = require('../../utils/database');
+const { calculateDistribution, estimateActivity } = require('./holder-distribution');
+
+/**
+ * Covalent Service
+ * Multi-chain aggregator (Covalent / GoldRush-compatible API): one client for
+ * token holders on every chain it indexes
+ */
+class CovalentService {
+  constructor() {
+    this.apiKey = config.apis.covalent.apiKey;
+    this.baseUrl = config.apis.covalent.baseUrl;
+    this.timeout = config.apis.covalent.timeout;
+    this.enabled = config.apis.covalent.enabled;
+
+    // ChainDetector chain names -> aggregator chain names
+    this.chainNames = {
+      ethereum: 'eth-mainnet',
+      bsc: 'bsc-mainnet',
+      polygon: 'matic-mainnet',
+      avalanche: 'avalanche-mainnet',
+      arbitrum: 'arbitrum-mainnet',
+      optimism: 'optimism-mainnet',
+      solana: 'solana-mainnet',
+      bitcoin: 'btc-mainnet'
+    };
+  }
+
+  supportsChain(chain) {
+    return !!this.chainNames[chain];
+  }
+
+  /**
+   * Holder metrics for a token on any indexed chain
+   * @param {string} contractAddress - Token contract
+   * @param {string} chain - ChainDetector chain name (ethereum, avalanche, ...)
+   * @returns {Object|null} Same shape as ExplorerService.getTokenMetrics; null when not configured
+   * @throws {Error} when the API request fails
+   */
+  async getTokenMetrics(contractAddress, chain) {
+    if (!this.enabled || !contractAddress) {
+      logger.info('Covalent not configured or no contract address');
+      return null;
+    }
+
+    if (!this.supportsChain(chain)) {
+      logger.info(`[Covalent] Chain ${chain} not supported`);
+      return null;
+    }
+
+    const startTime = Date.now();
+    const endpoint = `/${this.chainNames[chain]}/tokens/${contractAddress}/token_holders_v2/`;
+
+    try {
+      logger.info(`[Covalent] Fetching ${chain} data for ${contractAddress}`);
+
+      const data = await this.get(endpoint, { 'page-size': 100 });
+      const items = data.items || [];
+
+      const topHolders = items.map(item => ({
+        address: item.address,
+        balance: item.balance
+      }));
+      const holderCount = data.pagination?.total_count || topHolders.length;
+      const distribution = calculateDistribution(topHolders);
+      const activityEstimate = estimateActivity(holderCount, topHolders);
+      const token = items[0] || {};
+
+      const result = {
+        chain,
+        contract_address: contractAddress,
+
+        // Holder metrics
+        total_holders: holderCount,
+        top_10_holders: topHolders.slice(0, 10),
+        top_10_concentration: distribution.top10Pct,
+        top_50_concentration: distribution.top50Pct,
+        top_100_concentration: distribution.top100Pct,
+
+        // Distribution metrics
+        gini_coefficient: distribution.gini,
+        whale_holders: distribution.whaleCount,
+        retail_holders: distribution.retailCount,
+
+        // Token info
+        token_name: token.contract_name || 'Unknown',
+        token_symbol: token.contract_ticker_symbol || 'UNKNOWN',
+        total_supply: token.total_supply || '0',
+        decimals: token.contract_decimals ?? 18,
+
+        // Activity estimates
+        estimated_active_7d: activityEstimate.active7d,
+        estimated_active_30d: activityEstimate.active30d,
+        activity_confidence: 'medium',
+
+        data_source: 'covalent_api',
+        reliability: 'high',
+        timestamp: new Date().toISOString()
+      };
+
+      await db.logApiCall('covalent', endpoint, 200, Date.now() - startTime);
+      logger.info(`[Covalent] Data fetched successfully`, {
+        chain,
+        contract: contractAddress,
+        holders: holderCount,
+        responseTime: Date.now() - startTime
+      });
+
+      return result;
+
+    } catch (error) {
+      const status = error.response?.status || 500;
+      await db.logApiCall('covalent', endpoint, status, Date.now() - startTime);
+
+      logger.error(`[Covalent] API error for ${contractAddress} on ${chain}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * GET returning the response `data` envelope, throwing on API-level errors
+   * @private
+   */
+  async get(endpoint, params = {}) {
+    const response = await http.get(`${this.baseUrl}${endpoint}`, {
+      params,
+      provider: 'covalent',
+      timeout: this.timeout,
+      headers: { Authorization: `Bearer ${this.apiKey}` }
+    });
+
+    if (response.data.error) {
+      throw new Error(response.data.error_message || 'Covalent API error');
+    }
+
+    return response.data.data;
+  }
+}
+
+module.exports = new CovalentService();
@@ -1,23 +1,23 @@
-const axios = require('axios');
+const http = require('../../utils/http');
 const config = require('../../config');
 const logger = require('../../utils/logger');
 const db = require('../../utils/database');
+const SingleFlight = require('../../utils/single-flight');
 
 class DefiLlamaService {
   constructor() {
     this.baseUrl = config.apis.defiLlama.baseUrl;
     this.timeout = config.apis.defiLlama.timeout;
+    this.inflight = new SingleFlight();
   }
 
-  async getProtocolTVL(protocolName) {
+  async getProtocolTVL(protocolName, marketCap = null) {
     const startTime = Date.now();
     
     try {
-      const response = await axios.get(`${this.baseUrl}/protocols`, {
-        timeout: this.timeout
-      });
+      const protocols = await this.getProtocols();
 
-      const protocol = response.data.find(
+      const protocol = protocols.find(
         p => p.name.toLowerCase() === protocolName.toLowerCase() ||
              p.symbol?.toLowerCase() === protocolName.toLowerCase()
       );
@@ -36,10 +36,10 @@ class DefiLlamaService {
         change_1d: protocol.change_1d || 0,
         change_7d: protocol.change_7d || 0,
         change_1m: protocol.change_1m || 0,
-        mcap_tvl_ratio: this.calculateMcapTVLRatio(protocol.mcap, protocol.tvl)
+        // DefiLlama often has no mcap for a protocol, fall back to ours
+        mcap_tvl_ratio: this.calculateMcapTVLRatio(protocol.mcap || marketCap, protocol.tvl)
       };
 
-      await db.logApiCall('defilama', '/protocols', 200, Date.now() - startTime);
       logger.info(`DefiLlama data fetched for ${protocolName}`, { 
         tvl: result.tvl,
         responseTime: Date.now() - startTime 
@@ -48,14 +48,36 @@ class DefiLlamaService {
       return result;
 
     } catch (error) {
-      const status = error.response?.status || 500;
-      await db.logApiCall('defilama', '/protocols', status, Date.now() - startTime);
-      
       logger.error(`DefiLlama API error for ${protocolName}:`, error.message);
       return null;
     }
   }
 
+  /**
+   * The full /protocols list (several MB); concurrent lookups share one request
+   * @private
+   */
+  getProtocols() {
+    return this.inflight.run('protocols', async () => {
+      const startTime = Date.now();
+
+      try {
+        const response = await http.get(`${this.baseUrl}/protocols`, {
+          provider: 'defillama',
+          timeout: this.timeout
+        });
+
+        await db.logApiCall('defilama', '/protocols', 200, Date.now() - startTime);
+        return response.data;
+
+      } catch (error) {
+        const status = error.response?.status || 500;
+        await db.logApiCall('defilama', '/protocols', status, Date.now() - startTime);
+        throw error;
+      }
+    });
+  }
+
   calculateMcapTVLRatio(mcap, tvl) {
     if (!mcap || !tvl || tvl === 0) return null;
     return mcap / tvl;
@@ -0,0 +1,213 @@
+const http = require('../../utils/http');
+const logger = require('../../utils/logger');
+const db = require('../../utils/database');
+const { calculateDistribution, estimateActivity } = require('./holder-distribution');
+
+/**
+ * Explorer Service
+ * Token holder metrics from an Etherscan-compatible block explorer API
+ * (Etherscan, BscScan, PolygonScan). One instance per chain.
+ */
+class ExplorerService {
+  /**
+   * @param {Object} options - { name, label, chain, apiConfig } where apiConfig
+   *   is the explorer's entry in config.apis ({ apiKey, baseUrl, timeout, enabled }); its
+   *   rateLimit is enforced by the request scheduler via the provider registry
+   */
+  constructor({ name, label, chain, apiConfig }) {
+    this.name = name;
+    this.label = label;
+    this.chain = chain;
+    this.apiKey = apiConfig.apiKey;
+    this.baseUrl = apiConfig.baseUrl;
+    this.timeout = apiConfig.timeout;
+    this.enabled = apiConfig.enabled;
+  }
+
+  /**
+   * GET the explorer API; http queues it under the provider's rate limit
+   * @private
+   */
+  async request(params) {
+    return http.get(this.baseUrl, {
+      params: { ...params, apikey: this.apiKey },
+      provider: this.name,
+      timeout: this.timeout
+    });
+  }
+
+  async getTokenMetrics(contractAddress) {
+    if (!this.enabled || !contractAddress) {
+      logger.info(`${this.label} not configured or no contract address`);
+      return null;
+    }
+
+    const startTime = Date.now();
+    
+    try {
+      logger.info(`[${this.label}] Fetching data for ${contractAddress}`);
+
+      // Parallel API calls for speed
+      const [holderCount, topHolders, tokenInfo] = await Promise.all([
+        this.getHolderCount(contractAddress),
+        this.getTopHolders(contractAddress),
+        this.getTokenInfo(contractAddress)
+      ]);
+
+      // Balances and supply are in base units; shares are measured against supply
+      const unit = 10 ** tokenInfo.decimals;
+      const totalSupply = parseFloat(tokenInfo.totalSupply) / unit;
+      const holders = topHolders.map(holder => {
+        const balance = parseFloat(holder.balance) / unit;
+        return {
+          ...holder,
+          balance,
+          percentage: totalSupply > 0 ? parseFloat(((balance / totalSupply) * 100).toFixed(4)) : null
+        };
+      });
+      const distribution = calculateDistribution(holders, totalSupply);
+      
+      // Estimate active addresses (explorers don't provide this directly)
+      const activityEstimate = holderCount !== null
+        ? estimateActivity(holderCount, holders, totalSupply)
+        : { active7d: null, active30d: null };
+
+      const result = {
+        chain: this.chain,
+        contract_address: contractAddress,
+        
+        // Holder metrics; total_holders is null when the explorer plan
+        // doesn't expose the holder count
+        total_holders: holderCount,
+        top_10_holders: holders.slice(0, 10),
+        top_10_concentration: distribution.top10Pct,
+        top_50_concentration: distribution.top50Pct,
+        top_100_concentration: distribution.top100Pct,
+        
+        // Distribution metrics
+        gini_coefficient: distribution.gini,
+        whale_holders: distribution.whaleCount,
+        retail_holders: distribution.retailCount,
+        
+        // Token info
+        token_name: tokenInfo.name,
+        token_symbol: tokenInfo.symbol,
+        total_supply: tokenInfo.totalSupply,
+        decimals: tokenInfo.decimals,
+        
+        // Activity estimates
+        estimated_active_7d: activityEstimate.active7d,
+        estimated_active_30d: activityEstimate.active30d,
+        activity_confidence: 'medium',
+        
+        data_source: `${this.name}_api`,
+        reliability: 'high',
+        timestamp: new Date().toISOString()
+      };
+
+      await db.logApiCall(this.name, `/token/${contractAddress}`, 200, Date.now() - startTime);
+      logger.info(`[${this.label}] Data fetched successfully`, {
+        contract: contractAddress,
+        holders: holderCount,
+        responseTime: Date.now() - startTime
+      });
+
+      return result;
+
+    } catch (error) {
+      const status = error.response?.status || 500;
+      await db.logApiCall(this.name, `/token/${contractAddress}`, status, Date.now() - startTime);
+      
+      logger.error(`[${this.label}] API error for ${contractAddress}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Number of addresses holding the token (tokenholdercount, an API Pro
+   * endpoint on most explorers)
+   * @returns {number|null} null when the explorer doesn't provide it
+   */
+  async getHolderCount(contractAddress) {
+    try {
+      const response = await this.request({
+        module: 'token',
+        action: 'tokenholdercount',
+        contractaddress: contractAddress
+      });
+
+      // Errors come back as status '0' with the message in `result`
+      if (response.data.status !== '1') {
+        throw new Error(response.data.result || response.data.message || 'API error');
+      }
+
+      const count = parseInt(response.data.result);
+      return Number.isFinite(count) ? count : null;
+      
+    } catch (error) {
+      logger.warn(`[${this.label}] Holder count unavailable:`, error.message);
+      return null;
+    }
+  }
+
+  async getTopHolders(contractAddress) {
+    try {
+      const response = await this.request({
+        module: 'token',
+        action: 'tokenholderlist',
+        contractaddress: contractAddress,
+        page: 1,
+        offset: 100 // Get top 100 holders
+      });
+
+      if (response.data.status !== '1') {
+        throw new Error(response.data.message || 'API error');
+      }
+
+      const holders = response.data.result || [];
+      
+      return holders.map(holder => ({
+        address: holder.TokenHolderAddress,
+        balance: holder.TokenHolderQuantity
+      }));
+
+    } catch (error) {
+      logger.warn(`[${this.label}] Could not get top holders:`, error.message);
+      return [];
+    }
+  }
+
+  async getTokenInfo(contractAddress) {
+    try {
+      const response = await this.request({
+        module: 'token',
+        action: 'tokeninfo',
+        contractaddress: contractAddress
+      });
+
+      if (response.data.status !== '1' || !response.data.result) {
+        throw new Error('Token info not found');
+      }
+
+      const info = Array.isArray(response.data.result) ? response.data.result[0] : response.data.result;
+
+      return {
+        name: info.tokenName || info.name || 'Unknown',
+        symbol: info.symbol || 'UNKNOWN',
+        totalSupply: info.totalSupply || '0',
+        decimals: parseInt(info.decimals) || 18
+      };
+
+    } catch (error) {
+      logger.warn(`[${this.label}] Could not get token info:`, error.message);
+      return {
+        name: 'Unknown',
+        symbol: 'UNKNOWN',
+        totalSupply: '0',
+        decimals: 18
+      };
+    }
+  }
+}
+
+module.exports = ExplorerService;
\ No newline at end of file
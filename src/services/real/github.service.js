@@ -1,4 +1,4 @@
-const axios = require('axios');
+const http = require('../../utils/http');
 const logger = require('../../utils/logger');
 const db = require('../../utils/database');
 
@@ -22,10 +22,11 @@ class GitHubService {
       }
 
       // Step 2: Get repository details
-      const repoResponse = await axios.get(
+      const repoResponse = await http.get(
         `${this.baseUrl}/repos/${repo.owner}/${repo.name}`,
         {
           headers: this.getHeaders(),
+          provider: 'github',
           timeout: this.timeout
         }
       );
@@ -121,7 +122,7 @@ class GitHubService {
       ].filter(Boolean);
 
       for (const query of queries) {
-        const response = await axios.get(
+        const response = await http.get(
           `${this.baseUrl}/search/repositories`,
           {
             params: {
@@ -131,6 +132,7 @@ class GitHubService {
               per_page: 5
             },
             headers: this.getHeaders(),
+            provider: 'github',
             timeout: this.timeout
           }
         );
@@ -158,10 +160,11 @@ class GitHubService {
 
   async getCommitActivity(owner, repo) {
     try {
-      const response = await axios.get(
+      const response = await http.get(
         `${this.baseUrl}/repos/${owner}/${repo}/stats/commit_activity`,
         {
           headers: this.getHeaders(),
+          provider: 'github',
           timeout: this.timeout
         }
       );
@@ -201,11 +204,12 @@ class GitHubService {
 
   async getContributors(owner, repo) {
     try {
-      const response = await axios.get(
+      const response = await http.get(
         `${this.baseUrl}/repos/${owner}/${repo}/contributors`,
         {
           params: { per_page: 100 },
           headers: this.getHeaders(),
+          provider: 'github',
           timeout: this.timeout
         }
       );
@@ -242,11 +246,12 @@ class GitHubService {
 
   async getRecentCommits(owner, repo) {
     try {
-      const response = await axios.get(
+      const response = await http.get(
         `${this.baseUrl}/repos/${owner}/${repo}/commits`,
         {
           params: { per_page: 100 },
           headers: this.getHeaders(),
+          provider: 'github',
           timeout: this.timeout
         }
       );
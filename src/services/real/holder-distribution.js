@@ -0,0 +1,113 @@
+/**
+ * Holder Distribution
+ * Concentration, Gini and activity estimates from a token's largest holders,
+ * shared by the explorer, Solana and aggregator providers
+ */
+
+/**
+ * @param {Array} holders - Largest holders first, { address, balance }
+ * @param {number} [totalSupply] - In the same units as the balances. Shares
+ *   are measured against it; without it, against the listed balances, which
+ *   overstates concentration
+ */
+function calculateDistribution(holders, totalSupply = null) {
+  if (holders.length === 0) {
+    return {
+      top10Pct: 0,
+      top50Pct: 0,
+      top100Pct: 0,
+      gini: 0,
+      whaleCount: 0,
+      retailCount: 0
+    };
+  }
+
+  const totalBalance = totalSupply > 0
+    ? totalSupply
+    : holders.reduce((sum, h) => sum + parseFloat(h.balance), 0);
+
+  // Calculate percentages
+  let top10Balance = 0;
+  let top50Balance = 0;
+  let top100Balance = 0;
+  let whaleCount = 0;
+  let retailCount = 0;
+
+  holders.forEach((holder, index) => {
+    const balance = parseFloat(holder.balance);
+    const percentage = (balance / totalBalance) * 100;
+
+    if (index < 10) top10Balance += balance;
+    if (index < 50) top50Balance += balance;
+    if (index < 100) top100Balance += balance;
+
+    if (percentage >= 1) {
+      whaleCount++;
+    } else {
+      retailCount++;
+    }
+  });
+
+  // Calculate Gini coefficient (simplified)
+  const gini = calculateGini(holders.map(h => parseFloat(h.balance)));
+
+  return {
+    top10Pct: parseFloat(((top10Balance / totalBalance) * 100).toFixed(2)),
+    top50Pct: parseFloat(((top50Balance / totalBalance) * 100).toFixed(2)),
+    top100Pct: parseFloat(((top100Balance / totalBalance) * 100).toFixed(2)),
+    gini: parseFloat(gini.toFixed(3)),
+    whaleCount,
+    retailCount
+  };
+}
+
+function calculateGini(balances) {
+  // Gini coefficient: measure of inequality (0 = perfect equality, 1 = perfect inequality)
+  if (balances.length === 0) return 0;
+
+  const sorted = balances.sort((a, b) => a - b);
+  const n = sorted.length;
+  const sum = sorted.reduce((a, b) => a + b, 0);
+
+  if (sum === 0) return 0;
+
+  let numerator = 0;
+  for (let i = 0; i < n; i++) {
+    numerator += (2 * (i + 1) - n - 1) * sorted[i];
+  }
+
+  return numerator / (n * sum);
+}
+
+function estimateActivity(totalHolders, topHolders, totalSupply = null) {
+  // Estimate active addresses based on holder concentration
+  // More concentrated = less active addresses
+  // This is a heuristic estimation
+
+  const concentration = topHolders.length > 10 
+    ? calculateDistribution(topHolders, totalSupply).top10Pct 
+    : 100;
+
+  // If highly concentrated (>70%), assume low activity
+  // If well distributed (<30%), assume high activity
+  let activityMultiplier = 0.05; // Default: 5% of holders active
+
+  if (concentration < 30) {
+    activityMultiplier = 0.15; // 15% active (well distributed)
+  } else if (concentration < 50) {
+    activityMultiplier = 0.10; // 10% active (moderate)
+  } else if (concentration < 70) {
+    activityMultiplier = 0.07; // 7% active (somewhat concentrated)
+  }
+
+  return {
+    active7d: Math.round(totalHolders * activityMultiplier),
+    active30d: Math.round(totalHolders * activityMultiplier * 2)
+  };
+}
+
+module.exports = {
+  calculateDistribution,
+  calculateGini,
+  estimateActivity
+};
@@ -0,0 +1,150 @@
+const http = require('../../utils/http');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const db = require('../../utils/database');
+
+/**
+ * Native Chain Service
+ * Network-level metrics for L1 coins (BTC, ETH) from a Blockchair-compatible
+ * stats API: `GET <baseUrl>/<chain>/stats`, plus the validator count for
+ * proof-of-stake Ethereum from a beaconcha.in-compatible API
+ */
+class NativeChainService {
+  constructor() {
+    this.baseUrl = config.apis.nativeStats.baseUrl;
+    this.apiKey = config.apis.nativeStats.apiKey;
+    this.beaconUrl = config.apis.nativeStats.beaconUrl;
+    this.timeout = config.apis.nativeStats.timeout;
+
+    // ChainDetector chain names -> stats API path and base-unit decimals
+    this.chains = {
+      bitcoin: { path: 'bitcoin', decimals: 8 },
+      ethereum: { path: 'ethereum', decimals: 18, beacon: true }
+    };
+  }
+
+  supportsChain(chain) {
+    return !!this.chains[chain];
+  }
+
+  /**
+   * Network stats for a native chain
+   * @param {string} chain - ChainDetector chain name (bitcoin, ethereum)
+   * @returns {Object} { chain, native, transactions_24h, active_addresses_24h,
+   *   avg_fee_usd, median_fee_usd,
+   *   hash_rate, validators, nodes, circulating_supply, issuance_24h,
+   *   annual_issuance_pct, ... }; fields the API doesn't expose are null
+   * @throws {Error} when the chain isn't supported or the request fails
+   */
+  async getNetworkMetrics(chain) {
+    if (!this.supportsChain(chain)) {
+      throw new Error(`No native stats for ${chain}`);
+    }
+
+    const { path, decimals, beacon } = this.chains[chain];
+    const endpoint = `/${path}/stats`;
+    const startTime = Date.now();
+
+    try {
+      logger.info(`[NativeChain] Fetching ${chain} network stats`);
+
+      const [response, validators] = await Promise.all([
+        http.get(`${this.baseUrl}${endpoint}`, {
+          params: this.apiKey ? { key: this.apiKey } : {},
+          provider: 'native_stats',
+          timeout: this.timeout
+        }),
+        beacon ? this.getValidatorCount() : null
+      ]);
+      const stats = response.data?.data;
+
+      if (!stats) {
+        throw new Error('Invalid stats response');
+      }
+
+      const unit = 10 ** decimals;
+      const circulation = this.toNumber(stats.circulation ?? stats.circulation_approximate);
+      const inflation24h = this.toNumber(stats.inflation_24h);
+
+      const circulatingSupply = circulation !== null ? circulation / unit : null;
+      const issuance24h = inflation24h !== null ? inflation24h / unit : null;
+
+      await db.logApiCall('native_stats', endpoint, 200, Date.now() - startTime);
+
+      return {
+        chain,
+        native: true,
+
+        // Activity
+        transactions_24h: this.toNumber(stats.transactions_24h),
+        funded_addresses: this.toNumber(stats.hodling_addresses),
+        // The stats API counts funded addresses, not active ones
+        active_addresses_24h: null,
+
+        // Fees
+        avg_fee_usd: this.toNumber(stats.average_transaction_fee_usd_24h),
+        median_fee_usd: this.toNumber(stats.median_transaction_fee_usd_24h),
+
+        // Security
+        hash_rate: this.toNumber(stats.hashrate_24h),
+        validators,
+        nodes: this.toNumber(stats.nodes),
+
+        // Supply
+        circulating_supply: circulatingSupply,
+        issuance_24h: issuance24h,
+        annual_issuance_pct: circulatingSupply && issuance24h !== null
+          ? parseFloat(((issuance24h * 365 / circulatingSupply) * 100).toFixed(3))
+          : null,
+
+        latest_block: this.toNumber(stats.best_block_height ?? stats.blocks),
+        data_source: 'native_stats_api',
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      const status = error.response?.status || 500;
+      await db.logApiCall('native_stats', endpoint, status, Date.now() - startTime);
+
+      logger.error(`[NativeChain] Stats error for ${chain}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Active beacon-chain validators. Best effort: the chain stats stand on
+   * their own, so a failure only leaves validators null.
+   * @returns {number|null}
+   * @private
+   */
+  async getValidatorCount() {
+    const endpoint = '/api/v1/epoch/latest';
+    const startTime = Date.now();
+
+    try {
+      const response = await http.get(`${this.beaconUrl}${endpoint}`, {
+        provider: 'native_stats',
+        timeout: this.timeout
+      });
+      await db.logApiCall('native_stats', endpoint, 200, Date.now() - startTime);
+
+      return this.toNumber(response.data?.data?.validatorscount);
+    } catch (error) {
+      await db.logApiCall('native_stats', endpoint, error.response?.status || 500, Date.now() - startTime);
+      logger.warn('[NativeChain] Validator count unavailable:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Stats values arrive as numbers or (for wei-sized amounts) numeric strings
+   * @private
+   */
+  toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+}
+
+module.exports = new NativeChainService();
@@ -0,0 +1,13 @@
+const config = require('../../config');
+const ExplorerService = require('./explorer.service');
+
+/**
+ * PolygonScan Service
+ * Polygon token holder metrics
+ */
+module.exports = new ExplorerService({
+  name: 'polygonscan',
+  label: 'PolygonScan',
+  chain: 'polygon',
+  apiConfig: config.apis.polygonscan
+});
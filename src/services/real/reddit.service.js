@@ -1,4 +1,4 @@
-const axios = require('axios');
+const http = require('../../utils/http');
 const logger = require('../../utils/logger');
 const db = require('../../utils/database');
 
@@ -22,12 +22,13 @@ class RedditService {
       }
 
       // Step 2: Get subreddit info
-      const aboutResponse = await axios.get(
+      const aboutResponse = await http.get(
         `${this.baseUrl}/r/${subreddit}/about.json`,
         {
           headers: {
             'User-Agent': this.userAgent
           },
+          provider: 'reddit',
           timeout: this.timeout
         }
       );
@@ -35,13 +36,14 @@ class RedditService {
       const aboutData = aboutResponse.data.data;
 
       // Step 3: Get recent posts
-      const postsResponse = await axios.get(
+      const postsResponse = await http.get(
         `${this.baseUrl}/r/${subreddit}/hot.json`,
         {
           params: { limit: 25 },
           headers: {
             'User-Agent': this.userAgent
           },
+          provider: 'reddit',
           timeout: this.timeout
         }
       );
@@ -146,12 +148,13 @@ class RedditService {
     // Try each pattern
     for (const name of patterns) {
       try {
-        const response = await axios.get(
+        const response = await http.get(
           `${this.baseUrl}/r/${name}/about.json`,
           {
             headers: {
               'User-Agent': this.userAgent
             },
+            provider: 'reddit',
             timeout: 5000
           }
         );
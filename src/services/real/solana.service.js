@@ -0,0 +1,296 @@
+const http = require('../../utils/http');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const db = require('../../utils/database');
+const { calculateGini } = require('./holder-distribution');
+
+// SPL Token program; token accounts are 165 bytes: mint(32) owner(32) amount(u64) ...
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_ACCOUNT_SIZE = 165;
+const OWNER_OFFSET = 32;
+const AMOUNT_OFFSET = 64;
+
+/**
+ * Solana Service
+ * SPL token holder metrics and network stats over standard Solana JSON-RPC,
+ * so any RPC endpoint (including a local validator) can be used
+ */
+class SolanaService {
+  constructor() {
+    this.rpcUrl = config.apis.solana.rpcUrl;
+    this.timeout = config.apis.solana.timeout;
+    this.scanHolders = config.apis.solana.scanHolders;
+    this.scanMaxBytes = config.apis.solana.scanMaxBytes;
+    this.enabled = config.apis.solana.enabled;
+    this.requestId = 0;
+  }
+
+  /**
+   * Holder metrics for an SPL token mint
+   * @param {string} mintAddress - Token mint (base58)
+   * @returns {Object|null} Same shape as ExplorerService.getTokenMetrics plus authority status;
+   *   null when not configured
+   * @throws {Error} when an RPC call fails
+   */
+  async getTokenMetrics(mintAddress) {
+    if (!this.enabled || !mintAddress) {
+      logger.info('Solana RPC not configured or no mint address');
+      return null;
+    }
+
+    const startTime = Date.now();
+
+    try {
+      logger.info(`[Solana] Fetching data for ${mintAddress}`);
+
+      const [supply, largestAccounts, authorities] = await Promise.all([
+        this.getTokenSupply(mintAddress),
+        this.getLargestAccounts(mintAddress),
+        this.getMintAuthorities(mintAddress)
+      ]);
+
+      // Full holder scan is heavy and opt-in; public RPCs often refuse it for large mints
+      const holders = this.scanHolders
+        ? await this.getHolderBalances(mintAddress, supply.decimals)
+        : null;
+
+      const top10Balance = largestAccounts
+        .slice(0, 10)
+        .reduce((sum, a) => sum + a.balance, 0);
+      const top10Concentration = supply.amount > 0
+        ? parseFloat(((top10Balance / supply.amount) * 100).toFixed(2))
+        : 0;
+
+      // Gini over every holder when scanned, else over the largest accounts only
+      const giniBalances = holders ? holders.map(h => h.balance) : largestAccounts.map(a => a.balance);
+      const totalHolders = holders ? holders.length : null;
+      const whaleThreshold = supply.amount * 0.01;
+
+      const result = {
+        chain: 'solana',
+        contract_address: mintAddress,
+
+        // Holder metrics
+        total_holders: totalHolders,
+        top_10_holders: largestAccounts.slice(0, 10),
+        top_10_concentration: top10Concentration,
+
+        // Distribution metrics
+        gini_coefficient: parseFloat(calculateGini(giniBalances).toFixed(3)),
+        gini_scope: holders ? 'all_holders' : 'largest_accounts',
+        whale_holders: (holders || largestAccounts).filter(h => h.balance >= whaleThreshold).length,
+        retail_holders: holders ? holders.filter(h => h.balance < whaleThreshold).length : null,
+
+        // Token info
+        total_supply: supply.amount,
+        decimals: supply.decimals,
+
+        // Authorities: an active mint authority can inflate supply, freeze can lock holders out
+        mint_authority: authorities.mintAuthority,
+        freeze_authority: authorities.freezeAuthority,
+        mint_authority_revoked: authorities.known ? authorities.mintAuthority === null : null,
+        freeze_authority_revoked: authorities.known ? authorities.freezeAuthority === null : null,
+
+        // Activity estimates
+        estimated_active_7d: totalHolders ? Math.round(totalHolders * 0.05) : null,
+        estimated_active_30d: totalHolders ? Math.round(totalHolders * 0.1) : null,
+        activity_confidence: 'low',
+
+        data_source: 'solana_rpc',
+        reliability: holders ? 'high' : 'medium',
+        timestamp: new Date().toISOString()
+      };
+
+      await db.logApiCall('solana', `/token/${mintAddress}`, 200, Date.now() - startTime);
+      logger.info(`[Solana] Data fetched successfully`, {
+        mint: mintAddress,
+        holders: totalHolders,
+        responseTime: Date.now() - startTime
+      });
+
+      return result;
+
+    } catch (error) {
+      const status = error.response?.status || 500;
+      await db.logApiCall('solana', `/token/${mintAddress}`, status, Date.now() - startTime);
+
+      logger.error(`[Solana] RPC error for ${mintAddress}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Network-level stats for native SOL, in the same shape as
+   * NativeChainService.getNetworkMetrics
+   */
+  async getNetworkMetrics() {
+    const startTime = Date.now();
+
+    try {
+      const [samples, epochInfo, voteAccounts, supply, inflation] = await Promise.all([
+        this.rpc('getRecentPerformanceSamples', [30]),
+        this.rpc('getEpochInfo'),
+        this.rpc('getVoteAccounts'),
+        this.rpc('getSupply', [{ excludeNonCirculatingAccountsList: true }]),
+        this.rpc('getInflationRate')
+      ]);
+
+      const totalTx = samples.reduce((sum, s) => sum + s.numTransactions, 0);
+      // Vote transactions are validator consensus traffic, most of numTransactions
+      const userTx = samples.reduce((sum, s) => sum + (s.numNonVoteTransactions ?? 0), 0);
+      const hasUserTx = samples.length > 0 && samples.every(s => s.numNonVoteTransactions !== undefined);
+      const totalSecs = samples.reduce((sum, s) => sum + s.samplePeriodSecs, 0);
+      const tps = totalSecs > 0 ? totalTx / totalSecs : 0;
+      const userTps = totalSecs > 0 ? userTx / totalSecs : 0;
+      const circulatingSupply = supply.value.circulating / 1e9;
+      const totalSupply = supply.value.total / 1e9;
+
+      await db.logApiCall('solana', '/network', 200, Date.now() - startTime);
+
+      return {
+        chain: 'solana',
+        native: true,
+
+        // Activity: tps counts every transaction, transactions_24h only non-vote ones
+        // (null on RPCs too old to report numNonVoteTransactions)
+        tps: parseFloat(tps.toFixed(1)),
+        transactions_24h: hasUserTx ? Math.round(userTps * 86400) : null,
+        // RPC nodes don't track distinct signers
+        active_addresses_24h: null,
+
+        // Fees are per-signature lamports, not reported in USD
+        avg_fee_usd: null,
+        median_fee_usd: null,
+
+        // Security
+        hash_rate: null,
+        validators: voteAccounts.current.length,
+        delinquent_validators: voteAccounts.delinquent.length,
+        nodes: null,
+
+        // Supply
+        circulating_supply: circulatingSupply,
+        total_supply: totalSupply,
+        // getInflationRate is the annual rate on total supply
+        annual_issuance_pct: parseFloat((inflation.total * 100).toFixed(3)),
+        issuance_24h: parseFloat(((inflation.total * totalSupply) / 365).toFixed(2)),
+
+        epoch: epochInfo.epoch,
+        latest_block: epochInfo.absoluteSlot,
+        data_source: 'solana_rpc',
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      const status = error.response?.status || 500;
+      await db.logApiCall('solana', '/network', status, Date.now() - startTime);
+      throw error;
+    }
+  }
+
+  async getTokenSupply(mintAddress) {
+    const supply = await this.rpc('getTokenSupply', [mintAddress]);
+
+    return {
+      amount: parseFloat(supply.value.uiAmountString || supply.value.uiAmount || 0),
+      decimals: supply.value.decimals
+    };
+  }
+
+  /**
+   * Top 20 token accounts by balance
+   */
+  async getLargestAccounts(mintAddress) {
+    const largest = await this.rpc('getTokenLargestAccounts', [mintAddress]);
+
+    return largest.value.map(account => ({
+      address: account.address,
+      balance: parseFloat(account.uiAmountString || account.uiAmount || 0)
+    }));
+  }
+
+  async getMintAuthorities(mintAddress) {
+    try {
+      const account = await this.rpc('getAccountInfo', [mintAddress, { encoding: 'jsonParsed' }]);
+      const info = account.value?.data?.parsed?.info;
+
+      if (!info) {
+        throw new Error('Not an SPL token mint');
+      }
+
+      return {
+        known: true,
+        mintAuthority: info.mintAuthority || null,
+        freezeAuthority: info.freezeAuthority || null
+      };
+    } catch (error) {
+      logger.warn('[Solana] Could not get mint authorities:', error.message);
+      return { known: false, mintAuthority: null, freezeAuthority: null };
+    }
+  }
+
+  /**
+   * Non-zero balances per owner from every token account of the mint.
+   * Only owner and amount are requested (dataSlice) to keep the response small,
+   * and responses over scanMaxBytes are dropped.
+   * @returns {Array|null} [{ owner, balance }] or null when the RPC refuses the
+   *   scan or the mint has too many accounts (callers use getTokenLargestAccounts)
+   */
+  async getHolderBalances(mintAddress, decimals) {
+    try {
+      const accounts = await this.rpc('getProgramAccounts', [
+        TOKEN_PROGRAM_ID,
+        {
+          encoding: 'base64',
+          dataSlice: { offset: OWNER_OFFSET, length: AMOUNT_OFFSET + 8 - OWNER_OFFSET },
+          filters: [
+            { dataSize: TOKEN_ACCOUNT_SIZE },
+            { memcmp: { offset: 0, bytes: mintAddress } }
+          ]
+        }
+      ], { maxContentLength: this.scanMaxBytes });
+
+      const byOwner = new Map();
+      const divisor = 10 ** decimals;
+
+      for (const account of accounts) {
+        const data = Buffer.from(account.account.data[0], 'base64');
+        const owner = data.subarray(0, 32).toString('hex');
+        const balance = Number(data.readBigUInt64LE(AMOUNT_OFFSET - OWNER_OFFSET)) / divisor;
+
+        if (balance > 0) {
+          byOwner.set(owner, (byOwner.get(owner) || 0) + balance);
+        }
+      }
+
+      return [...byOwner.entries()].map(([owner, balance]) => ({ owner, balance }));
+
+    } catch (error) {
+      logger.warn('[Solana] Holder scan unavailable, using largest accounts only:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * JSON-RPC call returning `result`, throwing on RPC errors
+   * @param {Object} [options] - Extra axios options (e.g. maxContentLength)
+   * @private
+   */
+  async rpc(method, params = [], options = {}) {
+    const response = await http.post(
+      this.rpcUrl,
+      { jsonrpc: '2.0', id: ++this.requestId, method, params },
+      { ...options, provider: 'solana_rpc', timeout: this.timeout, headers: { 'Content-Type': 'application/json' } }
+    );
+
+    if (response.data.error) {
+      const error = new Error(`${method}: ${response.data.error.message}`);
+      error.code = response.data.error.code;
+      throw error;
+    }
+
+    return response.data.result;
+  }
+}
+
+module.exports = new SolanaService();
@@ -1,7 +1,8 @@
-const axios = require('axios');
+const http = require('../../utils/http');
 const config = require('../../config');
 const logger = require('../../utils/logger');
 const db = require('../../utils/database');
+const { createRandom } = require('../mock/random');
 
 class TokenUnlocksService {
   constructor() {
@@ -13,9 +14,9 @@ class TokenUnlocksService {
     const startTime = Date.now();
     
     try {
-      const response = await axios.get(
+      const response = await http.get(
         `${this.baseUrl}/unlocks/${ticker.toLowerCase()}`,
-        { timeout: this.timeout }
+        { provider: 'tokenunlocks', timeout: this.timeout }
       );
 
       if (!response.data || response.data.length === 0) {
@@ -101,7 +102,8 @@ class TokenUnlocksService {
   generateMockUnlockData(ticker) {
     logger.info(`Generating mock unlock data for ${ticker}`);
     
-    const monthlyUnlockPercentage = Math.random() * 5 + 2;
+    const random = createRandom(null, 'unlocks', ticker.toUpperCase());
+    const monthlyUnlockPercentage = random() * 5 + 2;
     
     return {
       ticker: ticker.toUpperCase(),
@@ -1,4 +1,4 @@
-const axios = require('axios');
+const http = require('../../utils/http');
 const config = require('../../config');
 const logger = require('../../utils/logger');
 const db = require('../../utils/database');
@@ -28,7 +28,7 @@ class TwitterAPIService {
       }
 
       // Step 2: Get user details
-      const userResponse = await axios.get(
+      const userResponse = await http.get(
         `${this.baseUrl}/users/by/username/${username}`,
         {
           params: {
@@ -37,6 +37,7 @@ class TwitterAPIService {
           headers: {
             'Authorization': `Bearer ${this.bearerToken}`
           },
+          provider: 'twitter_api',
           timeout: this.timeout
         }
       );
@@ -120,12 +121,13 @@ class TwitterAPIService {
       // Try each pattern
       for (const username of patterns) {
         try {
-          const response = await axios.get(
+          const response = await http.get(
             `${this.baseUrl}/users/by/username/${username}`,
             {
               headers: {
                 'Authorization': `Bearer ${this.bearerToken}`
               },
+              provider: 'twitter_api',
               timeout: 5000
             }
           );
@@ -151,7 +153,7 @@ class TwitterAPIService {
     try {
       const query = `${ticker} OR @${username} -is:retweet`;
       
-      const response = await axios.get(
+      const response = await http.get(
         `${this.baseUrl}/tweets/search/recent`,
         {
           params: {
@@ -162,6 +164,7 @@ class TwitterAPIService {
           headers: {
             'Authorization': `Bearer ${this.bearerToken}`
           },
+          provider: 'twitter_api',
           timeout: this.timeout
         }
       );
@@ -1,4 +1,5 @@
 const puppeteer = require('puppeteer');
+const config = require('../../config');
 const logger = require('../../utils/logger');
 
 class TwitterService {
@@ -8,6 +9,16 @@ class TwitterService {
 
   async scrapeBasicStats(ticker) {
     let page = null;
+
+    // Browser scraping can't be recorded, so record and replay runs both skip it
+    if (config.http.mode !== 'live') {
+      return {
+        ticker: ticker.toUpperCase(),
+        followers: 0,
+        data_source: `skipped (${config.http.mode} mode)`,
+        reliability: 'none'
+      };
+    }
     
     try {
       if (!this.browser) {
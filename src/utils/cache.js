@@ -61,6 +61,50 @@ class CacheService {
     }
   }
 
+  /**
+   * Store a value for stale-while-revalidate reads: fresh for `ttl` seconds,
+   * then stale until `hardTtl`, when Redis drops it
+   */
+  async setEntry(key, value, ttl = config.redis.cacheTTL, hardTtl = config.redis.cacheHardTTL) {
+    const now = Date.now();
+    const expiresIn = Math.max(ttl, hardTtl);
+
+    return this.set(key, {
+      value,
+      fetched_at: new Date(now).toISOString(),
+      soft_expires_at: new Date(now + ttl * 1000).toISOString(),
+      hard_expires_at: new Date(now + expiresIn * 1000).toISOString()
+    }, expiresIn);
+  }
+
+  /**
+   * Read a setEntry value with its age and expiry
+   * @returns {Object|null} { value, fetched_at, age_seconds, ttl_seconds, stale,
+   *   stale_for_seconds, hard_ttl_seconds }; null when missing, past its hard
+   *   expiry or not written by setEntry
+   */
+  async getEntry(key) {
+    const entry = await this.get(key);
+    if (!entry || !entry.fetched_at || !entry.soft_expires_at || !entry.hard_expires_at) return null;
+
+    const now = Date.now();
+    const fetchedAt = Date.parse(entry.fetched_at);
+    const softExpiresAt = Date.parse(entry.soft_expires_at);
+    const hardExpiresAt = Date.parse(entry.hard_expires_at);
+
+    if (now >= hardExpiresAt) return null;
+
+    return {
+      value: entry.value,
+      fetched_at: entry.fetched_at,
+      age_seconds: Math.floor((now - fetchedAt) / 1000),
+      ttl_seconds: Math.max(0, Math.ceil((softExpiresAt - now) / 1000)),
+      stale: now >= softExpiresAt,
+      stale_for_seconds: Math.max(0, Math.floor((now - softExpiresAt) / 1000)),
+      hard_ttl_seconds: Math.ceil((hardExpiresAt - now) / 1000)
+    };
+  }
+
   async del(key) {
     if (!this.isConnected) return false;
     
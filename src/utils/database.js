@@ -32,7 +32,10 @@ class Database {
           reject(err);
         } else {
           logger.info('Database connected successfully');
-          this.initialize().then(resolve).catch(reject);
+          this.initialize()
+            .then(() => this.migrate())
+            .then(resolve)
+            .catch(reject);
         }
       });
     });
@@ -57,6 +60,36 @@ class Database {
         CREATE INDEX IF NOT EXISTS idx_ticker ON analyses(ticker);
         CREATE INDEX IF NOT EXISTS idx_created_at ON analyses(created_at);
 
+        CREATE TABLE IF NOT EXISTS scoring_profiles (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          description TEXT,
+          weights TEXT NOT NULL,
+          thresholds TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS coins (
+          id TEXT PRIMARY KEY,
+          symbol TEXT NOT NULL COLLATE NOCASE,
+          name TEXT NOT NULL COLLATE NOCASE,
+          market_cap_rank INTEGER,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_coins_symbol ON coins(symbol);
+        CREATE INDEX IF NOT EXISTS idx_coins_name ON coins(name);
+
+        CREATE TABLE IF NOT EXISTS coin_platforms (
+          coin_id TEXT NOT NULL,
+          platform TEXT NOT NULL,
+          address TEXT NOT NULL COLLATE NOCASE,
+          PRIMARY KEY (coin_id, platform)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_coin_platforms_address ON coin_platforms(platform, address);
+
         CREATE TABLE IF NOT EXISTS api_calls (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           service TEXT NOT NULL,
@@ -65,6 +98,15 @@ class Database {
           response_time INTEGER,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         );
+
+        CREATE INDEX IF NOT EXISTS idx_api_calls_created ON api_calls(created_at);
+
+        CREATE TABLE IF NOT EXISTS provider_usage (
+          provider TEXT NOT NULL,
+          day TEXT NOT NULL,
+          requests INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (provider, day)
+        );
       `;
 
       this.db.exec(schema, (err) => {
@@ -79,14 +121,55 @@ class Database {
     });
   }
 
+  /**
+   * Add columns introduced after the first release to existing databases
+   */
+  async migrate() {
+    await this.ensureColumns('analyses', {
+      profile: 'TEXT',
+      scoring_inputs: 'TEXT',
+      model_version: 'TEXT'
+    });
+  }
+
+  ensureColumns(table, columns) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+        if (err) {
+          logger.error(`Read schema error for ${table}:`, err);
+          return reject(err);
+        }
+
+        const existing = rows.map(r => r.name);
+        const missing = Object.entries(columns).filter(([name]) => !existing.includes(name));
+
+        if (missing.length === 0) return resolve();
+
+        const sql = missing
+          .map(([name, type]) => `ALTER TABLE ${table} ADD COLUMN ${name} ${type};`)
+          .join('\n');
+
+        this.db.exec(sql, (err) => {
+          if (err) {
+            logger.error(`Migration error for ${table}:`, err);
+            reject(err);
+          } else {
+            logger.info(`Added columns to ${table}: ${missing.map(([name]) => name).join(', ')}`);
+            resolve();
+          }
+        });
+      });
+    });
+  }
+
   async saveAnalysis(data) {
     return new Promise((resolve, reject) => {
       const sql = `
         INSERT INTO analyses (
           ticker, overall_score, tokenomics_score, 
           liquidity_score, social_score, onchain_score,
-          classification, data_snapshot
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          classification, data_snapshot, profile, scoring_inputs, model_version
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
       const params = [
@@ -97,7 +180,10 @@ class Database {
         data.scores.social,
         data.scores.onchain,
         data.classification,
-        JSON.stringify(data)
+        JSON.stringify(data),
+        data.metadata?.scoring_profile || null,
+        data.scoring_inputs ? JSON.stringify(data.scoring_inputs) : null,
+        data.metadata?.scoring_model || null
       ];
 
       this.db.run(sql, params, function(err) {
@@ -111,16 +197,29 @@ class Database {
     });
   }
 
-  async getHistory(ticker, limit = 10) {
+  async getHistory(ticker, limit = 10, filters = {}) {
     return new Promise((resolve, reject) => {
+      const conditions = ['ticker = ?'];
+      const params = [ticker];
+
+      if (filters.profile !== undefined) {
+        conditions.push(filters.profile ? 'profile = ?' : 'profile IS NULL');
+        if (filters.profile) params.push(filters.profile);
+      }
+
+      if (filters.model) {
+        conditions.push('model_version = ?');
+        params.push(filters.model);
+      }
+
       const sql = `
         SELECT * FROM analyses 
-        WHERE ticker = ? 
+        WHERE ${conditions.join(' AND ')} 
         ORDER BY created_at DESC 
         LIMIT ?
       `;
 
-      this.db.all(sql, [ticker, limit], (err, rows) => {
+      this.db.all(sql, [...params, limit], (err, rows) => {
         if (err) {
           logger.error('Get history error:', err);
           reject(err);
@@ -131,6 +230,310 @@ class Database {
     });
   }
 
+  /**
+   * Stored analyses (oldest first) for re-scoring
+   * @param {Object} filters - { ticker, since, until, limit }; since/until are
+   *   UTC dates or ISO datetimes, a bare until date includes that whole day
+   */
+  async getSnapshots(filters = {}) {
+    return new Promise((resolve, reject) => {
+      const conditions = ['data_snapshot IS NOT NULL'];
+      const params = [];
+
+      if (filters.ticker) {
+        conditions.push('ticker = ?');
+        params.push(filters.ticker);
+      }
+      // created_at is stored as 'YYYY-MM-DD HH:MM:SS' (UTC); datetime() normalizes
+      // ISO input like '2025-01-01T12:00:00Z' so the text comparison holds
+      if (filters.since) {
+        conditions.push('created_at >= datetime(?)');
+        params.push(filters.since);
+      }
+      if (filters.until) {
+        // A bare date includes the whole day
+        conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(filters.until)
+          ? "created_at < datetime(?, '+1 day')"
+          : 'created_at <= datetime(?)');
+        params.push(filters.until);
+      }
+
+      const sql = `
+        SELECT * FROM (
+          SELECT * FROM analyses
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY created_at DESC, id DESC
+          LIMIT ?
+        ) ORDER BY created_at ASC, id ASC
+      `;
+
+      this.db.all(sql, [...params, filters.limit || 100], (err, rows) => {
+        if (err) {
+          logger.error('Get snapshots error:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  async getProfiles() {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM scoring_profiles ORDER BY name ASC';
+
+      this.db.all(sql, [], (err, rows) => {
+        if (err) {
+          logger.error('Get profiles error:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseProfile(row)));
+        }
+      });
+    });
+  }
+
+  async getProfile(name) {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM scoring_profiles WHERE name = ?';
+
+      this.db.get(sql, [name], (err, row) => {
+        if (err) {
+          logger.error('Get profile error:', err);
+          reject(err);
+        } else {
+          resolve(row ? this.parseProfile(row) : null);
+        }
+      });
+    });
+  }
+
+  async createProfile(profile) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO scoring_profiles (name, description, weights, thresholds)
+        VALUES (?, ?, ?, ?)
+      `;
+
+      const params = [
+        profile.name,
+        profile.description || null,
+        JSON.stringify(profile.weights),
+        JSON.stringify(profile.thresholds)
+      ];
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          logger.error('Create profile error:', err);
+          reject(err);
+        } else {
+          resolve({ id: this.lastID });
+        }
+      });
+    });
+  }
+
+  async updateProfile(name, profile) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE scoring_profiles
+        SET description = ?, weights = ?, thresholds = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE name = ?
+      `;
+
+      const params = [
+        profile.description || null,
+        JSON.stringify(profile.weights),
+        JSON.stringify(profile.thresholds),
+        name
+      ];
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          logger.error('Update profile error:', err);
+          reject(err);
+        } else {
+          resolve({ changes: this.changes });
+        }
+      });
+    });
+  }
+
+  async deleteProfile(name) {
+    return new Promise((resolve, reject) => {
+      const sql = 'DELETE FROM scoring_profiles WHERE name = ?';
+
+      this.db.run(sql, [name], function(err) {
+        if (err) {
+          logger.error('Delete profile error:', err);
+          reject(err);
+        } else {
+          resolve({ changes: this.changes });
+        }
+      });
+    });
+  }
+
+  parseProfile(row) {
+    return {
+      name: row.name,
+      description: row.description,
+      weights: JSON.parse(row.weights),
+      thresholds: JSON.parse(row.thresholds),
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  /**
+   * Replace the coin registry in one transaction
+   * @param {Array} coins - [{ id, symbol, name, market_cap_rank, platforms: { platform: address } }]
+   * @returns {Object} { coins, platforms } rows written
+   */
+  async replaceCoins(coins) {
+    return new Promise((resolve, reject) => {
+      const db = this.db;
+      let platformCount = 0;
+      // First failed statement; a failed INSERT doesn't abort the transaction by itself
+      let failure = null;
+      const check = (err) => {
+        if (err && !failure) failure = err;
+      };
+
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION', check);
+        db.run('DELETE FROM coin_platforms', check);
+        db.run('DELETE FROM coins', check);
+
+        const coinStmt = db.prepare(
+          'INSERT OR REPLACE INTO coins (id, symbol, name, market_cap_rank) VALUES (?, ?, ?, ?)'
+        );
+        const platformStmt = db.prepare(
+          'INSERT OR REPLACE INTO coin_platforms (coin_id, platform, address) VALUES (?, ?, ?)'
+        );
+
+        for (const coin of coins) {
+          coinStmt.run(coin.id, coin.symbol, coin.name, coin.market_cap_rank || null, check);
+
+          for (const [platform, address] of Object.entries(coin.platforms || {})) {
+            if (!platform || !address) continue;
+            platformStmt.run(coin.id, platform, address, check);
+            platformCount++;
+          }
+        }
+
+        coinStmt.finalize(check);
+        // Runs once every insert above has reported back
+        platformStmt.finalize((err) => {
+          check(err);
+
+          if (failure) {
+            logger.error('Replace coins error:', failure);
+            db.run('ROLLBACK', () => reject(failure));
+            return;
+          }
+
+          db.run('COMMIT', (commitErr) => {
+            if (commitErr) {
+              logger.error('Replace coins error:', commitErr);
+              db.run('ROLLBACK', () => reject(commitErr));
+            } else {
+              resolve({ coins: coins.length, platforms: platformCount });
+            }
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Coins whose symbol, id or name equals the query (case-insensitive)
+   */
+  async findCoins(query) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT id, symbol, name, market_cap_rank FROM coins
+        WHERE symbol = ? OR id = ? OR name = ?
+      `;
+
+      this.db.all(sql, [query, query.toLowerCase(), query], (err, rows) => {
+        if (err) {
+          logger.error('Find coins error:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  async findCoinByContract(platform, address) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT c.id, c.symbol, c.name, c.market_cap_rank
+        FROM coin_platforms p
+        JOIN coins c ON c.id = p.coin_id
+        WHERE p.platform = ? AND p.address = ?
+        LIMIT 1
+      `;
+
+      this.db.get(sql, [platform, address], (err, row) => {
+        if (err) {
+          logger.error('Find coin by contract error:', err);
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Prefix search over symbol, name and id for autocomplete.
+   * Exact symbol matches first, then exact id/name, then by market cap rank.
+   */
+  async searchCoins(query, limit = 10) {
+    return new Promise((resolve, reject) => {
+      const prefix = `${query.replace(/[\\%_]/g, '\\$&')}%`;
+      const sql = `
+        SELECT id, symbol, name, market_cap_rank FROM coins
+        WHERE symbol LIKE ? ESCAPE '\\' OR name LIKE ? ESCAPE '\\' OR id LIKE ? ESCAPE '\\'
+        ORDER BY
+          CASE WHEN symbol = ? THEN 0 WHEN id = ? OR name = ? THEN 1 ELSE 2 END,
+          market_cap_rank IS NULL,
+          market_cap_rank,
+          length(name)
+        LIMIT ?
+      `;
+
+      const params = [prefix, prefix, prefix.toLowerCase(), query, query.toLowerCase(), query, limit];
+
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          logger.error('Search coins error:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  async getCoinRegistryStats() {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT COUNT(*) AS coins, MAX(updated_at) AS synced_at FROM coins';
+
+      this.db.get(sql, [], (err, row) => {
+        if (err) {
+          logger.error('Coin registry stats error:', err);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
   async logApiCall(service, endpoint, status, responseTime) {
     return new Promise((resolve, reject) => {
       const sql = `
@@ -149,6 +552,72 @@ class Database {
     });
   }
 
+  /**
+   * Per-service call counts, errors (HTTP status >= 400) and latency
+   * @param {number} minutes - Window ending now
+   */
+  async getApiCallStats(minutes) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT service,
+               COUNT(*) AS calls,
+               SUM(CASE WHEN status >= 400 THEN 1 ELSE 0 END) AS errors,
+               AVG(response_time) AS avg_response_ms,
+               MAX(created_at) AS last_call_at,
+               MAX(CASE WHEN status >= 400 THEN created_at END) AS last_error_at
+        FROM api_calls
+        WHERE created_at >= datetime('now', ?)
+        GROUP BY service
+      `;
+
+      this.db.all(sql, [`-${minutes} minutes`], (err, rows) => {
+        if (err) {
+          logger.error('API call stats error:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Outbound requests a provider has made on a UTC day (YYYY-MM-DD)
+   */
+  async getProviderUsage(provider, day) {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT requests FROM provider_usage WHERE provider = ? AND day = ?';
+
+      this.db.get(sql, [provider, day], (err, row) => {
+        if (err) {
+          logger.error('Provider usage error:', err);
+          reject(err);
+        } else {
+          resolve(row ? row.requests : 0);
+        }
+      });
+    });
+  }
+
+  async incrementProviderUsage(provider, day) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO provider_usage (provider, day, requests)
+        VALUES (?, ?, 1)
+        ON CONFLICT (provider, day) DO UPDATE SET requests = requests + 1
+      `;
+
+      this.db.run(sql, [provider, day], (err) => {
+        if (err) {
+          logger.error('Provider usage update error:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
   close() {
     if (this.db) {
       this.db.close((err) => {
@@ -0,0 +1,240 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+const resilience = require('./resilience');
+const scheduler = require('./scheduler');
+
+// Query params carrying credentials; left out of fixture keys and files
+const SECRET_PARAMS = /^(api_?key|key|token|access_token)$/i;
+// Response headers worth replaying
+const KEPT_HEADERS = ['content-type', 'retry-after'];
+
+/**
+ * HTTP Client
+ * axios wrapper used by every services/real client. HTTP_MODE=record saves
+ * each response to a fixture file, HTTP_MODE=replay serves responses from
+ * those files and never touches the network; anything else is live.
+ * Live and recorded requests go through the resilience layer (retries and a
+ * circuit breaker per provider) and the provider's rate-limit scheduler;
+ * replay serves each recorded outcome as is. Replay pins upstream data, not
+ * the clock: timestamps and durations still vary (see the fixtures README).
+ */
+class HttpClient {
+  constructor() {
+    this.mode = config.http.mode;
+    this.fixturesDir = path.resolve(__dirname, '../..', config.http.fixturesDir);
+    this.networkAdapter = axios.getAdapter(axios.defaults.adapter);
+
+    this.client = axios.create({
+      adapter: (requestConfig) => this.adapter(requestConfig)
+    });
+
+    if (this.mode !== 'live') {
+      logger.info(`[HTTP] ${this.mode} mode, fixtures in ${this.fixturesDir}`);
+    }
+  }
+
+  /**
+   * @param {string} url
+   * @param {Object} [options] - axios options plus `provider`, the provider
+   *   registry name whose breaker guards the call (defaults to the URL host)
+   */
+  get(url, options = {}) {
+    return this.request({ ...options, method: 'get', url });
+  }
+
+  post(url, data, options = {}) {
+    return this.request({ ...options, method: 'post', url, data });
+  }
+
+  /**
+   * @private
+   */
+  request({ provider, ...requestConfig }) {
+    if (this.mode === 'replay') {
+      return this.client.request(requestConfig);
+    }
+
+    const key = provider || new URL(requestConfig.url).host;
+    // Every attempt, retries included, waits for a rate-limit slot; only
+    // answered ones (any HTTP status) count against the daily quota
+    return resilience.execute(key, async () => {
+      const done = await scheduler.schedule(key);
+
+      try {
+        const response = await this.client.request(requestConfig);
+        done(true);
+        return response;
+      } catch (error) {
+        done(!!error.response);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  async adapter(requestConfig) {
+    if (this.mode === 'replay') {
+      return this.replay(requestConfig);
+    }
+
+    if (this.mode !== 'record') {
+      return this.networkAdapter(requestConfig);
+    }
+
+    try {
+      const response = await this.networkAdapter(requestConfig);
+      this.record(requestConfig, response);
+      return response;
+    } catch (error) {
+      // HTTP errors (404s, 429s) are part of what the services react to
+      if (error.response) this.record(requestConfig, error.response);
+      throw error;
+    }
+  }
+
+  /**
+   * Serve a recorded response, rejecting like axios for non-2xx statuses
+   * @throws {Error} code ERR_NO_FIXTURE when the request was never recorded
+   * @private
+   */
+  replay(requestConfig) {
+    const request = this.describe(requestConfig);
+    const file = this.fixturePath(request);
+
+    if (!fs.existsSync(file)) {
+      const error = new Error(`No recorded response for ${request.method} ${request.url} (${path.relative(process.cwd(), file)})`);
+      error.code = 'ERR_NO_FIXTURE';
+      error.config = requestConfig;
+      throw error;
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const response = {
+      // Raw body; axios' transformResponse parses it as it would a live one
+      data: fixture.response.text !== undefined
+        ? fixture.response.text
+        : JSON.stringify(fixture.response.json),
+      status: fixture.response.status,
+      statusText: fixture.response.statusText || '',
+      headers: new axios.AxiosHeaders(fixture.response.headers || {}),
+      config: requestConfig,
+      request: {}
+    };
+
+    const validateStatus = requestConfig.validateStatus;
+    if (!validateStatus || validateStatus(response.status)) {
+      return response;
+    }
+
+    throw new axios.AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+      requestConfig,
+      response.request,
+      response
+    );
+  }
+
+  /**
+   * @private
+   */
+  record(requestConfig, response) {
+    const request = this.describe(requestConfig);
+    const file = this.fixturePath(request);
+    const headers = {};
+
+    for (const name of KEPT_HEADERS) {
+      const value = response.headers?.[name];
+      if (value !== undefined) headers[name] = String(value);
+    }
+
+    const body = {};
+    try {
+      body.json = JSON.parse(response.data);
+    } catch (error) {
+      body.text = typeof response.data === 'string' ? response.data : String(response.data);
+    }
+
+    const fixture = {
+      request,
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+        ...body
+      }
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+    } catch (error) {
+      logger.warn(`[HTTP] Could not record ${request.method} ${request.url}:`, error.message);
+    }
+  }
+
+  /**
+   * Stable description of a request: method, full URL, sorted params without
+   * credentials, and the body. Headers (auth) are never part of it.
+   * @private
+   */
+  describe(requestConfig) {
+    const url = new URL(axios.getUri({ ...requestConfig, params: undefined }));
+    const params = {};
+
+    for (const [name, value] of url.searchParams) params[name] = value;
+    for (const [name, value] of Object.entries(requestConfig.params || {})) {
+      if (value !== undefined && value !== null) params[name] = String(value);
+    }
+
+    const cleanParams = {};
+    for (const name of Object.keys(params).sort()) {
+      if (!SECRET_PARAMS.test(name)) cleanParams[name] = params[name];
+    }
+
+    let data = requestConfig.data;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        // keep the raw string
+      }
+    }
+    // JSON-RPC ids are per-process counters, not part of the request's meaning
+    if (data && typeof data === 'object' && data.jsonrpc) {
+      const { id, ...rest } = data;
+      data = rest;
+    }
+
+    return {
+      method: (requestConfig.method || 'get').toUpperCase(),
+      url: `${url.origin}${url.pathname}`,
+      params: cleanParams,
+      data: data === undefined ? null : data
+    };
+  }
+
+  /**
+   * <fixturesDir>/<host>/<method>-<path slug>-<hash>.json
+   * @private
+   */
+  fixturePath(request) {
+    const url = new URL(request.url);
+    const hash = crypto
+      .createHash('sha1')
+      .update(JSON.stringify(request))
+      .digest('hex')
+      .slice(0, 12);
+    const slug = url.pathname.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 60) || 'root';
+
+    return path.join(this.fixturesDir, url.host.replace(':', '_'), `${request.method.toLowerCase()}-${slug}-${hash}.json`);
+  }
+}
+
+module.exports = new HttpClient();
@@ -0,0 +1,217 @@
+const config = require('../config');
+const logger = require('./logger');
+
+// Upstream answers worth asking again: rate limited or server-side failure
+const RETRYABLE_STATUS = (status) => status === 429 || status >= 500;
+// Errors raised before the request reached the provider; they say nothing about its health
+const LOCAL_ERRORS = ['ERR_CANCELED', 'ERR_NO_FIXTURE', 'ERR_QUOTA_EXHAUSTED'];
+
+/**
+ * Resilience
+ * Retries with exponential backoff and jitter on 429/5xx (honoring
+ * Retry-After), plus a circuit breaker per provider. A breaker opens after
+ * `failureThreshold` consecutive failed requests, rejects calls for
+ * `openMs`, then lets a single half-open probe through to decide whether
+ * to close again.
+ */
+class Resilience {
+  constructor() {
+    this.retry = config.http.retry;
+    this.breaker = config.http.circuitBreaker;
+    this.breakers = new Map();
+  }
+
+  /**
+   * Run an HTTP request through the provider's breaker, retrying transient failures
+   * @param {string} provider - Breaker key (provider registry name)
+   * @param {Function} send - () => Promise<axios response>
+   * @throws {Error} code ERR_CIRCUIT_OPEN while the provider's breaker is open
+   */
+  async execute(provider, send) {
+    const breaker = this.getBreaker(provider);
+    const probe = this.admit(provider, breaker);
+    // A half-open probe is a single attempt; its outcome alone decides the breaker
+    const attempts = probe ? 1 : this.retry.attempts;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await send();
+        this.onSuccess(provider, breaker);
+        return response;
+      } catch (error) {
+        if (LOCAL_ERRORS.includes(error.code)) {
+          breaker.probing = false;
+          throw error;
+        }
+
+        if (!this.isFailure(error)) {
+          // The provider answered (404, 400...): it's up, the request was wrong
+          this.onSuccess(provider, breaker);
+          throw error;
+        }
+
+        const delay = attempt < attempts && RETRYABLE_STATUS(error.response?.status)
+          ? this.getRetryDelay(error, attempt)
+          : null;
+
+        if (delay === null) {
+          this.onFailure(provider, breaker, error);
+          throw error;
+        }
+
+        logger.warn(`[HTTP] ${provider} returned ${error.response.status}, retry ${attempt}/${attempts - 1} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Breaker state for every provider that has made requests
+   * @returns {Object} provider -> { state, consecutive_failures, ... }
+   */
+  getStatus() {
+    const status = {};
+
+    for (const [provider, breaker] of this.breakers) {
+      this.refresh(breaker);
+      status[provider] = {
+        state: breaker.state,
+        consecutive_failures: breaker.failures,
+        last_failure: breaker.lastFailure,
+        opened_at: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+        retry_at: breaker.state === 'open' ? new Date(breaker.openedAt + this.breaker.openMs).toISOString() : null
+      };
+    }
+
+    return status;
+  }
+
+  /**
+   * @private
+   */
+  getBreaker(provider) {
+    if (!this.breakers.has(provider)) {
+      this.breakers.set(provider, {
+        state: 'closed',
+        failures: 0,
+        lastFailure: null,
+        openedAt: null,
+        probing: false
+      });
+    }
+
+    return this.breakers.get(provider);
+  }
+
+  /**
+   * Open breakers turn half-open once their cool-down has passed
+   * @private
+   */
+  refresh(breaker) {
+    if (breaker.state === 'open' && Date.now() >= breaker.openedAt + this.breaker.openMs) {
+      breaker.state = 'half_open';
+      breaker.probing = false;
+    }
+  }
+
+  /**
+   * @returns {boolean} true when this request is the half-open probe
+   * @throws {Error} code ERR_CIRCUIT_OPEN when the request may not go out
+   * @private
+   */
+  admit(provider, breaker) {
+    this.refresh(breaker);
+
+    if (breaker.state === 'closed') return false;
+
+    if (breaker.state === 'half_open' && !breaker.probing) {
+      breaker.probing = true;
+      logger.info(`[HTTP] ${provider} circuit half-open, sending probe request`);
+      return true;
+    }
+
+    const retryAt = breaker.state === 'open'
+      ? `until ${new Date(breaker.openedAt + this.breaker.openMs).toISOString()}`
+      : 'while a probe request is in flight';
+    const error = new Error(`${provider} circuit open ${retryAt} (last failure: ${breaker.lastFailure})`);
+    error.code = 'ERR_CIRCUIT_OPEN';
+    throw error;
+  }
+
+  /**
+   * @private
+   */
+  onSuccess(provider, breaker) {
+    if (breaker.state !== 'closed') {
+      logger.info(`[HTTP] ${provider} circuit closed`);
+    }
+
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.openedAt = null;
+    breaker.probing = false;
+  }
+
+  /**
+   * @private
+   */
+  onFailure(provider, breaker, error) {
+    breaker.failures++;
+    breaker.lastFailure = error.response?.status ? `HTTP ${error.response.status}` : (error.code || error.message);
+    breaker.probing = false;
+
+    if (breaker.state === 'half_open' || breaker.failures >= this.breaker.failureThreshold) {
+      if (breaker.state !== 'open') {
+        logger.warn(`[HTTP] ${provider} circuit open for ${this.breaker.openMs}ms after ${breaker.failures} failures (${breaker.lastFailure})`);
+      }
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Failures count against the breaker: 429/5xx and requests that got no
+   * response at all (timeouts, refused connections). A body cut off at the
+   * caller's maxContentLength was answered, so it isn't one.
+   * @private
+   */
+  isFailure(error) {
+    if (!error.response && /maxContentLength/.test(error.message)) return false;
+
+    return !error.response || RETRYABLE_STATUS(error.response.status);
+  }
+
+  /**
+   * Retry-After when the provider sends one, otherwise exponential backoff
+   * with equal jitter
+   * @returns {number|null} Delay in ms, or null when Retry-After asks for
+   *   longer than retry.maxDelayMs (not worth holding the analysis for)
+   * @private
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = this.parseRetryAfter(error.response.headers?.['retry-after']);
+
+    if (retryAfter !== null) {
+      return retryAfter <= this.retry.maxDelayMs ? retryAfter : null;
+    }
+
+    const backoff = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * Retry-After is either delay-seconds or an HTTP date
+   * @private
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+module.exports = new Resilience();
@@ -0,0 +1,164 @@
+const db = require('./database');
+const logger = require('./logger');
+
+/**
+ * Request Scheduler
+ * Token bucket per provider that queues outbound calls to stay under the
+ * provider's `rateLimit` ({ requestsPerSecond, requestsPerDay }). The bucket
+ * holds up to one second of requests, so short bursts go straight out and
+ * the rest are spaced evenly. Every attempt, retries included, takes a
+ * per-second slot, but only requests the provider answered count against the
+ * daily quota; it's persisted in provider_usage so a restart doesn't reset the
+ * day's count. Providers without limits are never queued.
+ */
+class RequestScheduler {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  /**
+   * @param {string} provider - Provider registry name
+   * @param {Object} rateLimit - { requestsPerSecond?, requestsPerDay? }
+   */
+  configure(provider, rateLimit) {
+    const perSecond = rateLimit.requestsPerSecond || null;
+    const capacity = perSecond ? Math.max(1, perSecond) : null;
+
+    this.buckets.set(provider, {
+      perSecond,
+      perDay: rateLimit.requestsPerDay || null,
+      capacity,
+      tokens: capacity,
+      refilledAt: Date.now(),
+      queue: [],
+      timer: null,
+      day: null,
+      used: 0,
+      inFlight: 0,
+      loading: null
+    });
+  }
+
+  /**
+   * Wait for the provider's next request slot
+   * @returns {Function} done(answered) - call once the request settles; it
+   *   counts against the day's quota only when the provider answered
+   * @throws {Error} code ERR_QUOTA_EXHAUSTED once the day's requests are used up
+   */
+  async schedule(provider) {
+    const bucket = this.buckets.get(provider);
+    if (!bucket) return () => {};
+
+    await this.loadUsage(provider, bucket);
+
+    // In-flight requests hold their slot so concurrent calls can't overshoot the day
+    if (bucket.perDay && bucket.used + bucket.inFlight >= bucket.perDay) {
+      const error = new Error(`${provider} daily request limit (${bucket.perDay}) reached, resets at ${this.nextReset()}`);
+      error.code = 'ERR_QUOTA_EXHAUSTED';
+      throw error;
+    }
+
+    const day = bucket.day;
+    let settled = false;
+    bucket.inFlight++;
+
+    const done = (answered) => {
+      if (settled) return;
+      settled = true;
+      bucket.inFlight--;
+
+      if (!answered) return;
+
+      if (bucket.day === day) bucket.used++;
+      db.incrementProviderUsage(provider, day).catch(error => {
+        logger.warn(`[Scheduler] Could not persist ${provider} usage:`, error.message);
+      });
+    };
+
+    if (bucket.perSecond) {
+      await new Promise(resolve => {
+        bucket.queue.push(resolve);
+        this.drain(bucket);
+      });
+    }
+
+    return done;
+  }
+
+  /**
+   * Limits, today's usage and queue depth for a provider
+   * @returns {Object|null} null when the provider has no limits
+   */
+  async getQuota(provider) {
+    const bucket = this.buckets.get(provider);
+    if (!bucket) return null;
+
+    await this.loadUsage(provider, bucket);
+
+    return {
+      requests_per_second: bucket.perSecond,
+      requests_per_day: bucket.perDay,
+      used_today: bucket.used,
+      remaining_today: bucket.perDay ? Math.max(0, bucket.perDay - bucket.used) : null,
+      in_flight: bucket.inFlight,
+      queued: bucket.queue.length,
+      resets_at: this.nextReset()
+    };
+  }
+
+  /**
+   * Release queued requests as tokens refill
+   * @private
+   */
+  drain(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + ((now - bucket.refilledAt) / 1000) * bucket.perSecond);
+    bucket.refilledAt = now;
+
+    while (bucket.queue.length > 0 && bucket.tokens >= 1) {
+      bucket.tokens--;
+      bucket.queue.shift()();
+    }
+
+    if (bucket.queue.length > 0 && !bucket.timer) {
+      const wait = Math.ceil(((1 - bucket.tokens) / bucket.perSecond) * 1000);
+      bucket.timer = setTimeout(() => {
+        bucket.timer = null;
+        this.drain(bucket);
+      }, wait);
+    }
+  }
+
+  /**
+   * Load the persisted count when the UTC day changes (or on first use)
+   * @private
+   */
+  loadUsage(provider, bucket) {
+    const today = new Date().toISOString().slice(0, 10);
+
+    if (bucket.day !== today) {
+      bucket.day = today;
+      bucket.used = 0;
+      bucket.loading = db.getProviderUsage(provider, today)
+        .then(requests => {
+          if (bucket.day === today) bucket.used += requests;
+        })
+        .catch(error => {
+          logger.warn(`[Scheduler] ${provider} usage unavailable, counting from zero:`, error.message);
+        });
+    }
+
+    return bucket.loading;
+  }
+
+  /**
+   * @private
+   */
+  nextReset() {
+    const reset = new Date();
+    reset.setUTCHours(24, 0, 0, 0);
+    return reset.toISOString();
+  }
+}
+
+module.exports = new RequestScheduler();
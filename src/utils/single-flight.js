@@ -0,0 +1,39 @@
+/**
+ * Single Flight
+ * Collapses concurrent calls for the same key into one: while a call is in
+ * flight, later callers get its promise instead of starting their own. The
+ * key is released as soon as the call settles, so nothing is cached.
+ */
+class SingleFlight {
+  constructor() {
+    this.inflight = new Map();
+  }
+
+  /**
+   * @param {string} key
+   * @param {Function} fn - () => Promise, only called when no call for key is in flight
+   * @returns {Promise} The in-flight call's result
+   */
+  run(key, fn) {
+    if (this.inflight.has(key)) {
+      return this.inflight.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => this.inflight.delete(key));
+
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
+  has(key) {
+    return this.inflight.has(key);
+  }
+
+  get size() {
+    return this.inflight.size;
+  }
+}
+
+module.exports = SingleFlight;
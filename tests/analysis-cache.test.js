@@ -0,0 +1,121 @@
+const express = require('express');
+const request = require('supertest');
+const routes = require('../src/routes');
+const analyzerService = require('../src/services/analyzer/analyzer.service');
+const cache = require('../src/utils/cache');
+const db = require('../src/utils/database');
+
+const app = express().use('/api', routes);
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 100; i++) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Condition not met');
+};
+
+describe('Analysis caching', () => {
+  const analyzeCoin = analyzerService.analyzeCoin.bind(analyzerService);
+  let store;
+
+  beforeEach(() => {
+    // In-memory stand-in for Redis
+    store = new Map();
+    cache.client = {
+      get: async (key) => store.get(key) ?? null,
+      setEx: async (key, ttl, value) => store.set(key, value)
+    };
+    cache.isConnected = true;
+
+    // Scenario data instead of the live providers
+    jest.spyOn(analyzerService, 'analyzeCoin')
+      .mockImplementation((ticker, options) => analyzeCoin(ticker, { ...options, scenario: 'healthy_blue_chip', seed: 'cache' }));
+    jest.spyOn(db, 'saveAnalysis').mockResolvedValue({ id: 1 });
+  });
+
+  afterEach(() => {
+    cache.isConnected = false;
+    cache.client = null;
+    jest.restoreAllMocks();
+  });
+
+  it('should share one analysis between concurrent requests', async () => {
+    let release;
+    const started = new Promise(resolve => { release = resolve; });
+    analyzerService.analyzeCoin.mockImplementation(async (ticker, options) => {
+      await started;
+      return analyzeCoin(ticker, { ...options, scenario: 'healthy_blue_chip', seed: 'cache' });
+    });
+
+    const requests = Promise.all([
+      request(app).get('/api/analyze/SOL?refresh=true'),
+      request(app).get('/api/analyze/sol?refresh=true')
+    ]);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    release();
+    const [first, second] = await requests;
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(analyzerService.analyzeCoin).toHaveBeenCalledTimes(1);
+    expect(db.saveAnalysis).toHaveBeenCalledTimes(1);
+    expect(second.body.metadata.analyzed_at).toBe(first.body.metadata.analyzed_at);
+  });
+
+  it('should keep case-sensitive contract identifiers apart', async () => {
+    let release;
+    const started = new Promise(resolve => { release = resolve; });
+    analyzerService.analyzeCoin.mockImplementation(async (ticker, options) => {
+      await started;
+      return analyzeCoin(ticker, { ...options, scenario: 'healthy_blue_chip', seed: 'cache' });
+    });
+
+    const requests = Promise.all([
+      request(app).get('/api/analyze/solana:MintCase1111111111111111111111111111111111?refresh=true'),
+      request(app).get('/api/analyze/solana:mintcase1111111111111111111111111111111111?refresh=true')
+    ]);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    release();
+    await requests;
+
+    expect(analyzerService.analyzeCoin).toHaveBeenCalledTimes(2);
+    expect(store.has('analysis:solana:MintCase1111111111111111111111111111111111')).toBe(true);
+    expect(store.has('analysis:solana:mintcase1111111111111111111111111111111111')).toBe(true);
+  });
+
+  it('should report the real cache TTL on a fresh hit', async () => {
+    await request(app).get('/api/analyze/ETH').expect(200);
+
+    const res = await request(app)
+      .get('/api/analyze/ETH')
+      .expect(200);
+
+    expect(analyzerService.analyzeCoin).toHaveBeenCalledTimes(1);
+    expect(res.body.from_cache).toBe(true);
+    expect(res.body.cache.fetched_at).toBeDefined();
+    expect(res.body.cache.ttl_seconds).toBeGreaterThan(0);
+    expect(res.body.cache.stale).toBe(false);
+    expect(res.body.cache.revalidating).toBe(false);
+  });
+
+  it('should serve a stale analysis while refreshing it in the background', async () => {
+    const stale = await analyzeCoin('ADA', { scenario: 'dead_project', seed: 'old' });
+    await cache.setEntry('analysis:ADA', stale, 0, 3600);
+
+    const res = await request(app)
+      .get('/api/analyze/ADA')
+      .expect(200);
+
+    expect(res.body.from_cache).toBe(true);
+    expect(res.body.classification).toBe(stale.classification);
+    expect(res.body.cache).toMatchObject({ stale: true, revalidating: true, ttl_seconds: 0 });
+
+    await waitFor(async () => (await cache.getEntry('analysis:ADA')).value.metadata.analyzed_at !== stale.metadata.analyzed_at);
+    expect(analyzerService.analyzeCoin).toHaveBeenCalledTimes(1);
+
+    const refreshed = await request(app).get('/api/analyze/ADA').expect(200);
+    expect(refreshed.body.cache.stale).toBe(false);
+    expect(refreshed.body.classification).toBe('GREEN');
+  });
+});
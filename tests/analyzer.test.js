@@ -1,8 +1,28 @@
 const request = require('supertest');
 const app = require('../src/app');
+const analyzerService = require('../src/services/analyzer/analyzer.service');
+const cache = require('../src/utils/cache');
+const db = require('../src/utils/database');
 
 describe('Crypto Analyzer API', () => {
-  
+  beforeAll(async () => {
+    await db.connect();
+
+    // In-memory stand-in for Redis
+    const store = new Map();
+    cache.client = {
+      get: async (key) => store.get(key) ?? null,
+      setEx: async (key, ttl, value) => store.set(key, value),
+      del: async (key) => store.delete(key)
+    };
+    cache.isConnected = true;
+  });
+
+  afterAll(() => {
+    cache.isConnected = false;
+    db.close();
+  });
+
   describe('GET /api/health', () => {
     it('should return health status', async () => {
       const res = await request(app)
@@ -11,6 +31,7 @@ describe('Crypto Analyzer API', () => {
       
       expect(res.body.status).toBe('healthy');
       expect(res.body.services).toBeDefined();
+      expect(res.body.services.circuit_breakers).toBeDefined();
     });
   });
 
@@ -48,6 +69,46 @@ describe('Crypto Analyzer API', () => {
       expect(res.body.error).toBe('Coin not found');
     }, 15000);
 
+    it('should analyze an explicit CoinGecko id', async () => {
+      const res = await request(app)
+        .get('/api/analyze/coingecko:bitcoin')
+        .expect(200);
+
+      expect(res.body.ticker).toBe('BTC');
+    }, 30000);
+
+    it('should apply custom scoring weights', async () => {
+      const res = await request(app)
+        .get('/api/analyze/BTC?weights=tokenomics:0.1,liquidity:0.1,social:0.1,onchain:0.7')
+        .expect(200);
+      
+      expect(res.body.metadata.scoring_weights.onchain).toBe(0.7);
+    }, 30000);
+
+    it('should reject weights that do not sum to 1', async () => {
+      const res = await request(app)
+        .get('/api/analyze/BTC?weights=tokenomics:0.9')
+        .expect(400);
+      
+      expect(res.body.error).toBe('Invalid scoring config');
+    });
+
+    it('should stamp the scoring model on the result', async () => {
+      const res = await request(app)
+        .get('/api/analyze/BTC?model=v1')
+        .expect(200);
+      
+      expect(res.body.metadata.scoring_model).toBe('v1');
+    }, 30000);
+
+    it('should reject unknown scoring models', async () => {
+      const res = await request(app)
+        .get('/api/analyze/BTC?model=v99')
+        .expect(400);
+      
+      expect(res.body.error).toBe('Invalid scoring config');
+    });
+
     it('should return cached data on second request', async () => {
       await request(app).get('/api/analyze/ETH');
       
@@ -59,6 +120,96 @@ describe('Crypto Analyzer API', () => {
     }, 30000);
   });
 
+  describe('GET /api/analyze/contract/:chain/:address', () => {
+    it('should analyze a token by contract address', async () => {
+      const res = await request(app)
+        .get('/api/analyze/contract/ethereum/0x1f9840a85d5af5bf1d1762f925bdaddc4201f984')
+        .expect(200);
+
+      expect(res.body.ticker).toBe('UNI');
+      expect(res.body.contract.chain).toBe('ethereum');
+    }, 60000);
+
+    it('should reject malformed addresses', async () => {
+      const res = await request(app)
+        .get('/api/analyze/contract/ethereum/0x123')
+        .expect(400);
+
+      expect(res.body.error).toBe('Invalid contract address');
+    });
+  });
+
+  describe('GET /api/analyze/:ticker/stream', () => {
+    it('should stream phase events followed by the full result', async () => {
+      const res = await request(app)
+        .get('/api/analyze/BTC/stream?refresh=true')
+        .expect('Content-Type', /text\/event-stream/)
+        .expect(200);
+      
+      expect(res.text).toContain('event: phase');
+      expect(res.text).toContain('"phase":"market_data"');
+      expect(res.text).toContain('event: complete');
+    }, 30000);
+  });
+
+  describe('GET /api/analyze/:ticker/explain', () => {
+    it('should rebuild the score from rule contributions', async () => {
+      const res = await request(app)
+        .get('/api/analyze/BTC/explain')
+        .expect(200);
+      
+      expect(res.body.matches).toBe(true);
+      expect(res.body.dimensions.tokenomics.contributions[0]).toHaveProperty('rule');
+      expect(res.body.dimensions.tokenomics.contributions[0]).toHaveProperty('delta');
+    }, 30000);
+  });
+
+  describe('GET /api/search', () => {
+    it('should autocomplete coins from the registry', async () => {
+      const res = await request(app)
+        .get('/api/search?q=btc')
+        .expect(200);
+
+      expect(res.body.results[0].symbol).toBe('BTC');
+      expect(res.body.results[0].analyze_url).toMatch(/^\/api\/analyze\/coingecko:/);
+    }, 90000);
+
+    it('should require a query', async () => {
+      await request(app)
+        .get('/api/search')
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/providers', () => {
+    it('should list providers with capabilities and health', async () => {
+      const res = await request(app)
+        .get('/api/providers')
+        .expect(200);
+
+      const coingecko = res.body.providers.find(p => p.name === 'coingecko');
+      expect(coingecko.capabilities).toContain('market');
+      expect(coingecko.health.status).toBeDefined();
+      expect(res.body.active_by_capability.market).toContain('coingecko');
+    });
+
+    it('should reject unknown capabilities', async () => {
+      await request(app)
+        .get('/api/providers?capability=weather')
+        .expect(400);
+    });
+
+    it('should report remaining quota for rate-limited providers', async () => {
+      const res = await request(app)
+        .get('/api/providers?capability=holders')
+        .expect(200);
+
+      const etherscan = res.body.providers.find(p => p.name === 'etherscan');
+      expect(etherscan.quota.requests_per_day).toBe(100000);
+      expect(etherscan.quota.remaining_today).toBeLessThanOrEqual(100000);
+    });
+  });
+
   describe('POST /api/compare', () => {
     it('should compare multiple coins', async () => {
       const res = await request(app)
@@ -115,6 +266,39 @@ describe('Crypto Analyzer API', () => {
         expect(res.body.classification).toBe('RED');
       }
     }, 30000);
+
+    it('should score native coins from network metrics', async () => {
+      const res = await request(app)
+        .get('/api/analyze/BTC')
+        .expect(200);
+
+      expect(res.body.details.onchain.native).toBe(true);
+      expect(res.body.details.onchain.chain).toBe('bitcoin');
+      expect(res.body.score_breakdown.onchain.contributions.every(c => c.rule.startsWith('onchain.'))).toBe(true);
+    }, 30000);
+  });
+
+  describe('Scenarios', () => {
+    it('should produce the same analysis for the same scenario and seed', async () => {
+      const first = await request(app)
+        .get('/api/analyze/DEMO?scenario=rug_pull&seed=42')
+        .expect(200);
+      const second = await request(app)
+        .get('/api/analyze/DEMO?scenario=rug_pull&seed=42')
+        .expect(200);
+
+      expect(first.body.classification).toBe('RED');
+      expect(second.body.overall_score).toBe(first.body.overall_score);
+      expect(first.body.metadata.scenario).toBe('rug_pull');
+    });
+
+    it('should reject unknown scenarios', async () => {
+      const res = await request(app)
+        .get('/api/analyze/DEMO?scenario=moonshot')
+        .expect(400);
+
+      expect(res.body.error).toBe('Invalid scenario');
+    });
   });
 
   describe('Data Sources', () => {
@@ -125,8 +309,109 @@ describe('Crypto Analyzer API', () => {
       
       expect(res.body.data_sources).toBeDefined();
       expect(res.body.data_sources.price_liquidity).toContain('real');
+      expect(res.body.data_sources.price_liquidity).toMatch(/CoinGecko|CoinMarketCap/);
       expect(res.body.data_sources.social_sentiment).toContain('simulated');
     }, 30000);
   });
 
+  describe('Batch jobs', () => {
+    const analyzeCoin = analyzerService.analyzeCoin.bind(analyzerService);
+
+    beforeEach(() => {
+      // The job keeps running after the response; keep it off the network
+      jest.spyOn(analyzerService, 'analyzeCoin')
+        .mockImplementation(ticker => analyzeCoin(ticker, { scenario: 'healthy_blue_chip', seed: 'jobs' }));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should reject an empty ticker list', async () => {
+      const res = await request(app)
+        .post('/api/jobs/analyze')
+        .send({ tickers: [] })
+        .expect(400);
+      
+      expect(res.body.error).toBe('Invalid input');
+    });
+
+    it('should return a job id immediately and expose progress', async () => {
+      const res = await request(app)
+        .post('/api/jobs/analyze')
+        .send({ tickers: ['JOBA', 'JOBB'] })
+        .expect(202);
+      
+      expect(res.body.job_id).toBeDefined();
+
+      const status = await request(app)
+        .get(`/api/jobs/${res.body.job_id}`)
+        .expect(200);
+      
+      expect(status.body.progress.total).toBe(2);
+      expect(status.body.tickers).toHaveLength(2);
+
+      // Let the job finish while analyzeCoin is still mocked
+      let job = status.body;
+      while (job.status === 'queued' || job.status === 'running') {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        job = (await request(app).get(`/api/jobs/${res.body.job_id}`)).body;
+      }
+      expect(job.progress.completed).toBe(2);
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+      const res = await request(app)
+        .get('/api/jobs/does-not-exist')
+        .expect(404);
+      
+      expect(res.body.error).toBe('Job not found');
+    });
+  });
+
+  describe('GET /api/rescore', () => {
+    it('should replay stored analyses with old and new scores', async () => {
+      await request(app).get('/api/analyze/BTC?refresh=true');
+
+      const res = await request(app)
+        .get('/api/rescore?ticker=BTC&weights=tokenomics:0.1,liquidity:0.1,social:0.1,onchain:0.7')
+        .expect(200);
+      
+      expect(res.body.summary.snapshots).toBeGreaterThan(0);
+      expect(res.body.results[0].old).toHaveProperty('overall_score');
+      expect(res.body.results[0].new).toHaveProperty('overall_score');
+      expect(res.body.scoring.weights.onchain).toBe(0.7);
+    }, 30000);
+  });
+
+  describe('Scoring profiles', () => {
+    const name = `test-${Date.now()}`;
+
+    afterAll(async () => {
+      await request(app).delete(`/api/profiles/${name}`);
+    });
+
+    it('should create a profile and score with it', async () => {
+      await request(app)
+        .post('/api/profiles')
+        .send({ name, weights: { tokenomics: 0.1, liquidity: 0.1, social: 0.1, onchain: 0.7 } })
+        .expect(201);
+
+      const res = await request(app)
+        .get(`/api/analyze/BTC?profile=${name}`)
+        .expect(200);
+      
+      expect(res.body.metadata.scoring_profile).toBe(name);
+      expect(res.body.metadata.scoring_weights.onchain).toBe(0.7);
+    }, 30000);
+
+    it('should return 404 for unknown profiles', async () => {
+      const res = await request(app)
+        .get('/api/analyze/BTC?profile=does-not-exist')
+        .expect(404);
+      
+      expect(res.body.error).toBe('Profile not found');
+    });
+  });
+
 });
\ No newline at end of file
@@ -0,0 +1,83 @@
+const analyzerService = require('../src/services/analyzer/analyzer.service');
+const analysisRuns = require('../src/services/analyzer/analysis-run.service');
+const batchJobService = require('../src/services/analyzer/batch-job.service');
+const scoringEngine = require('../src/services/analyzer/scoring.engine');
+const db = require('../src/utils/database');
+
+const waitForJob = async (id) => {
+  for (let i = 0; i < 100; i++) {
+    const job = batchJobService.getJob(id);
+    if (job.status !== 'queued' && job.status !== 'running') return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${id} did not finish`);
+};
+
+describe('BatchJobService', () => {
+  const analyzeCoin = analyzerService.analyzeCoin.bind(analyzerService);
+
+  beforeEach(() => {
+    // Scenario data instead of the live providers
+    jest.spyOn(analyzerService, 'analyzeCoin')
+      .mockImplementation(ticker => analyzeCoin(ticker, { scenario: 'healthy_blue_chip', seed: 'batch' }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should finish every ticker with its analysis', async () => {
+    jest.spyOn(db, 'saveAnalysis').mockResolvedValue(1);
+
+    const created = batchJobService.createAnalyzeJob(['aaa', 'BBB'], { refresh: true });
+    const job = await waitForJob(created.job_id);
+
+    expect(job.status).toBe('completed');
+    expect(job.progress.completed).toBe(2);
+    expect(job.results.map(r => r.classification)).toEqual(['GREEN', 'GREEN']);
+  });
+
+  it('should complete a ticker with a warning when storing its result fails', async () => {
+    jest.spyOn(db, 'saveAnalysis').mockRejectedValue(new Error('disk full'));
+
+    const created = batchJobService.createAnalyzeJob(['CCC'], { refresh: true });
+    const job = await waitForJob(created.job_id);
+
+    expect(job.progress.running).toBe(0);
+    expect(job.tickers[0].status).toBe('completed');
+    expect(job.tickers[0].warning).toBe('Result not stored: disk full');
+    expect(job.results).toHaveLength(1);
+  });
+
+  it('should mark tickers whose analysis fails as failed', async () => {
+    analyzerService.analyzeCoin.mockRejectedValue(new Error('Coin DDD not found'));
+
+    const created = batchJobService.createAnalyzeJob(['DDD'], { refresh: true });
+    const job = await waitForJob(created.job_id);
+
+    expect(job.tickers[0].status).toBe('failed');
+    expect(job.errors).toEqual([{ ticker: 'DDD', error: 'Coin DDD not found' }]);
+  });
+
+  it('should join an analysis the API already has in flight', async () => {
+    jest.spyOn(db, 'saveAnalysis').mockResolvedValue(1);
+    let release;
+    const started = new Promise(resolve => { release = resolve; });
+    analyzerService.analyzeCoin.mockImplementation(async (ticker, options) => {
+      await started;
+      return analyzeCoin(ticker, { ...options, scenario: 'healthy_blue_chip', seed: 'batch' });
+    });
+
+    const apiRun = analysisRuns.run('EEE', scoringEngine.resolveScoringConfig());
+    const created = batchJobService.createAnalyzeJob(['eee'], { refresh: true });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    release();
+
+    const [job, { result }] = await Promise.all([waitForJob(created.job_id), apiRun]);
+
+    expect(job.progress.completed).toBe(1);
+    expect(job.results[0].overall_score).toBe(result.overall_score);
+    expect(analyzerService.analyzeCoin).toHaveBeenCalledTimes(1);
+    expect(db.saveAnalysis).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,83 @@
+const http = require('../src/utils/http');
+const db = require('../src/utils/database');
+const covalentService = require('../src/services/real/covalent.service');
+
+const CONTRACT = '0x3333333333333333333333333333333333333333';
+
+const holder = (address, balance) => ({
+  contract_name: 'Bridge Token',
+  contract_ticker_symbol: 'BRG',
+  contract_decimals: 6,
+  total_supply: '1000000000',
+  address,
+  balance
+});
+
+describe('CovalentService', () => {
+  const enabled = covalentService.enabled;
+  let response;
+
+  beforeEach(() => {
+    response = {
+      data: {
+        items: [holder('0xa', '600000000'), holder('0xb', '300000000'), holder('0xc', '95000000'), holder('0xd', '5000000')],
+        pagination: { has_more: true, page_number: 0, page_size: 100, total_count: 4200 }
+      },
+      error: false,
+      error_message: null
+    };
+
+    covalentService.enabled = true;
+    jest.spyOn(db, 'logApiCall').mockResolvedValue();
+    jest.spyOn(http, 'get').mockImplementation(async () => ({ data: response }));
+  });
+
+  afterEach(() => {
+    covalentService.enabled = enabled;
+    jest.restoreAllMocks();
+  });
+
+  it('should parse token holders on the aggregator chain name', async () => {
+    const metrics = await covalentService.getTokenMetrics(CONTRACT, 'avalanche');
+
+    expect(http.get.mock.calls[0][0]).toMatch(`/avalanche-mainnet/tokens/${CONTRACT}/token_holders_v2/`);
+    expect(http.get.mock.calls[0][1]).toMatchObject({ provider: 'covalent', params: { 'page-size': 100 } });
+    expect(metrics).toMatchObject({
+      chain: 'avalanche',
+      total_holders: 4200,
+      top_10_concentration: 100,
+      whale_holders: 3,
+      retail_holders: 1,
+      token_name: 'Bridge Token',
+      token_symbol: 'BRG',
+      decimals: 6,
+      data_source: 'covalent_api'
+    });
+    expect(metrics.top_10_holders).toEqual([
+      { address: '0xa', balance: '600000000' },
+      { address: '0xb', balance: '300000000' },
+      { address: '0xc', balance: '95000000' },
+      { address: '0xd', balance: '5000000' }
+    ]);
+  });
+
+  it('should count the listed holders when the API has no total', async () => {
+    delete response.data.pagination;
+
+    const metrics = await covalentService.getTokenMetrics(CONTRACT, 'ethereum');
+
+    expect(metrics.total_holders).toBe(4);
+  });
+
+  it('should throw API-level errors', async () => {
+    response = { data: null, error: true, error_message: 'Malformed address provided', error_code: 400 };
+
+    await expect(covalentService.getTokenMetrics(CONTRACT, 'ethereum')).rejects.toThrow('Malformed address provided');
+    expect(db.logApiCall).toHaveBeenCalledWith('covalent', expect.stringContaining('eth-mainnet'), 500, expect.any(Number));
+  });
+
+  it('should skip chains it does not index', async () => {
+    await expect(covalentService.getTokenMetrics(CONTRACT, 'tron')).resolves.toBeNull();
+    expect(http.get).not.toHaveBeenCalled();
+  });
+});
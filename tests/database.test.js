@@ -0,0 +1,88 @@
+const sqlite3 = require('sqlite3');
+const db = require('../src/utils/database');
+
+// Fresh in-memory instance, so tests never touch data/analyzer.db
+const createDatabase = async () => {
+  const database = new (db.constructor)();
+  database.db = new sqlite3.Database(':memory:');
+  await database.initialize();
+  await database.migrate();
+  return database;
+};
+
+const run = (database, sql, params = []) => new Promise((resolve, reject) => {
+  database.db.run(sql, params, err => (err ? reject(err) : resolve()));
+});
+
+describe('Database', () => {
+  let database;
+
+  beforeEach(async () => {
+    database = await createDatabase();
+  });
+
+  afterEach(done => {
+    database.db.close(done);
+  });
+
+  describe('getSnapshots', () => {
+    beforeEach(async () => {
+      for (const createdAt of ['2025-01-01 00:00:00', '2025-01-01 12:00:00', '2025-01-02 08:30:00', '2025-01-03 00:00:00']) {
+        await run(database,
+          'INSERT INTO analyses (ticker, overall_score, classification, data_snapshot, created_at) VALUES (?, ?, ?, ?, ?)',
+          ['BTC', 7, 'GREEN', '{}', createdAt]);
+      }
+    });
+
+    const createdAt = rows => rows.map(row => row.created_at);
+
+    it('should compare ISO datetimes against stored timestamps', async () => {
+      const rows = await database.getSnapshots({ since: '2025-01-01T12:00:00Z', until: '2025-01-02T08:30:00.000Z' });
+
+      expect(createdAt(rows)).toEqual(['2025-01-01 12:00:00', '2025-01-02 08:30:00']);
+    });
+
+    it('should include rows exactly on a bare since date', async () => {
+      const rows = await database.getSnapshots({ since: '2025-01-01' });
+
+      expect(rows).toHaveLength(4);
+    });
+
+    it('should include the whole day of a bare until date', async () => {
+      const rows = await database.getSnapshots({ until: '2025-01-02' });
+
+      expect(createdAt(rows)).toEqual(['2025-01-01 00:00:00', '2025-01-01 12:00:00', '2025-01-02 08:30:00']);
+    });
+  });
+
+  describe('replaceCoins', () => {
+    const bitcoin = { id: 'bitcoin', symbol: 'btc', name: 'Bitcoin', market_cap_rank: 1, platforms: {} };
+    const usdc = {
+      id: 'usd-coin',
+      symbol: 'usdc',
+      name: 'USDC',
+      market_cap_rank: 6,
+      platforms: { ethereum: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48' }
+    };
+
+    it('should replace the registry with the given coins', async () => {
+      await database.replaceCoins([bitcoin]);
+      const written = await database.replaceCoins([usdc]);
+
+      expect(written).toEqual({ coins: 1, platforms: 1 });
+      expect(await database.findCoins('btc')).toEqual([]);
+      expect((await database.findCoinByContract('ethereum', usdc.platforms.ethereum)).id).toBe('usd-coin');
+    });
+
+    it('should roll back and reject when an insert fails', async () => {
+      await database.replaceCoins([bitcoin]);
+
+      // name is NOT NULL
+      await expect(database.replaceCoins([usdc, { id: 'broken', symbol: 'brk', name: null }]))
+        .rejects.toThrow('NOT NULL');
+
+      expect((await database.findCoins('btc')).map(coin => coin.id)).toEqual(['bitcoin']);
+      expect(await database.findCoinByContract('ethereum', usdc.platforms.ethereum)).toBeNull();
+    });
+  });
+});
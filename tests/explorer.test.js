@@ -0,0 +1,121 @@
+const http = require('../src/utils/http');
+const db = require('../src/utils/database');
+const ExplorerService = require('../src/services/real/explorer.service');
+const { calculateDistribution } = require('../src/services/real/holder-distribution');
+
+const CONTRACT = '0x2222222222222222222222222222222222222222';
+const BALANCES = ['400', '200', '100', '100', '50', '50', '50', '20', '10', '10', '5', '5'];
+
+describe('calculateDistribution', () => {
+  const holders = BALANCES.map((balance, i) => ({ address: `0x${i}`, balance }));
+
+  it('should measure concentration, inequality and whales over the given holders', () => {
+    expect(calculateDistribution(holders)).toEqual({
+      top10Pct: 99,
+      top50Pct: 100,
+      top100Pct: 100,
+      gini: 0.606,
+      // Whales hold at least 1% of the listed balance
+      whaleCount: 10,
+      retailCount: 2
+    });
+  });
+
+  it('should measure shares against total supply when it is known', () => {
+    expect(calculateDistribution(holders, 2000)).toEqual({
+      top10Pct: 49.5,
+      top50Pct: 50,
+      top100Pct: 50,
+      gini: 0.606,
+      // Whales hold at least 1% of supply
+      whaleCount: 8,
+      retailCount: 4
+    });
+  });
+
+  it('should report an even spread as perfectly equal', () => {
+    const even = [1, 2, 3, 4].map(i => ({ address: `0x${i}`, balance: '25' }));
+
+    expect(calculateDistribution(even)).toMatchObject({ gini: 0, whaleCount: 4, retailCount: 0 });
+  });
+
+  it('should return zeros without holders', () => {
+    expect(calculateDistribution([])).toEqual({
+      top10Pct: 0, top50Pct: 0, top100Pct: 0, gini: 0, whaleCount: 0, retailCount: 0
+    });
+  });
+});
+
+describe('ExplorerService', () => {
+  const bscscan = new ExplorerService({
+    name: 'bscscan',
+    label: 'BscScan',
+    chain: 'bsc',
+    apiConfig: { apiKey: 'test-key', baseUrl: 'https://api.bscscan.com/api', timeout: 1000, enabled: true }
+  });
+  let responses;
+
+  beforeEach(() => {
+    responses = {
+      tokenholdercount: { status: '1', message: 'OK', result: '48210' },
+      tokenholderlist: {
+        status: '1',
+        message: 'OK',
+        // Base units: 9 decimals
+        result: BALANCES.map((balance, i) => ({ TokenHolderAddress: `0xholder${i}`, TokenHolderQuantity: `${balance}000000000` }))
+      },
+      tokeninfo: {
+        status: '1',
+        message: 'OK',
+        result: [{ tokenName: 'Test Token', symbol: 'TST', totalSupply: '2000000000000', decimals: '9' }]
+      }
+    };
+
+    jest.spyOn(db, 'logApiCall').mockResolvedValue();
+    jest.spyOn(http, 'get').mockImplementation(async (url, options) => ({ data: responses[options.params.action] }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should parse holder lists and token info into holder metrics against supply', async () => {
+    const metrics = await bscscan.getTokenMetrics(CONTRACT);
+
+    expect(metrics).toMatchObject({
+      chain: 'bsc',
+      total_holders: 48210,
+      top_10_concentration: 49.5,
+      gini_coefficient: 0.606,
+      whale_holders: 8,
+      retail_holders: 4,
+      token_name: 'Test Token',
+      token_symbol: 'TST',
+      total_supply: '2000000000000',
+      decimals: 9,
+      data_source: 'bscscan_api'
+    });
+    expect(metrics.top_10_holders[0]).toEqual({ address: '0xholder0', balance: 400, percentage: 20 });
+  });
+
+  it('should send the request under the provider name with its API key', async () => {
+    await bscscan.getTokenMetrics(CONTRACT);
+
+    const [url, options] = http.get.mock.calls[0];
+    expect(url).toBe('https://api.bscscan.com/api');
+    expect(options).toMatchObject({ provider: 'bscscan', params: { apikey: 'test-key', contractaddress: CONTRACT } });
+  });
+
+  it('should fail soft on explorer errors, leaving empty holder data', async () => {
+    responses.tokenholdercount = { status: '0', message: 'NOTOK', result: 'API Pro endpoint' };
+    responses.tokenholderlist = { status: '0', message: 'NOTOK', result: 'Invalid API Key' };
+    responses.tokeninfo = { status: '0', message: 'NOTOK', result: 'Invalid API Key' };
+
+    const metrics = await bscscan.getTokenMetrics(CONTRACT);
+
+    expect(metrics.top_10_holders).toEqual([]);
+    expect(metrics.total_holders).toBeNull();
+    expect(metrics.estimated_active_7d).toBeNull();
+    expect(metrics.token_symbol).toBe('UNKNOWN');
+  });
+});
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const http = require('../src/utils/http');
+
+const COIN_URL = 'https://api.example.com/v1/coins/bitcoin';
+
+describe('HttpClient fixtures', () => {
+  let client;
+  let dir;
+
+  const writeFixture = (requestConfig, response) => {
+    const request = client.describe(requestConfig);
+    const file = client.fixturePath(request);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ request, response }));
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-fixtures-'));
+    client = new (http.constructor)();
+    client.mode = 'replay';
+    client.fixturesDir = dir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('fixturePath', () => {
+    it('files fixtures by host, method, path slug and request hash', () => {
+      const file = client.fixturePath(client.describe({ method: 'get', url: COIN_URL, params: { tickers: true } }));
+
+      expect(path.dirname(file)).toBe(path.join(dir, 'api.example.com'));
+      expect(path.basename(file)).toMatch(/^get-v1_coins_bitcoin-[0-9a-f]{12}\.json$/);
+    });
+
+    it('is the same whatever order the params come in', () => {
+      const a = client.fixturePath(client.describe({ url: COIN_URL, params: { a: 1, b: 2 } }));
+      const b = client.fixturePath(client.describe({ url: `${COIN_URL}?b=2`, params: { a: 1 } }));
+
+      expect(b).toBe(a);
+    });
+
+    it('changes with the params and the body', () => {
+      const base = client.fixturePath(client.describe({ url: COIN_URL, params: { a: 1 } }));
+
+      expect(client.fixturePath(client.describe({ url: COIN_URL, params: { a: 2 } }))).not.toBe(base);
+      expect(client.fixturePath(client.describe({ method: 'post', url: COIN_URL, params: { a: 1 }, data: { x: 1 } }))).not.toBe(base);
+    });
+  });
+
+  describe('describe', () => {
+    it('leaves credentials out of the request key', () => {
+      const request = client.describe({
+        url: `${COIN_URL}?key=secret1&page=2`,
+        params: { api_key: 'secret2', apiKey: 'secret3', token: 'secret4', access_token: 'secret5', limit: 10 },
+        headers: { Authorization: 'Bearer secret6' }
+      });
+
+      expect(request.params).toEqual({ limit: '10', page: '2' });
+      expect(JSON.stringify(request)).not.toMatch(/secret/);
+      expect(client.fixturePath(request)).toBe(client.fixturePath(client.describe({ url: COIN_URL, params: { page: 2, limit: 10 } })));
+    });
+
+    it('ignores JSON-RPC ids', () => {
+      const call = id => client.describe({
+        method: 'post',
+        url: 'https://rpc.example.com/',
+        data: JSON.stringify({ jsonrpc: '2.0', id, method: 'getSlot', params: [] })
+      });
+
+      expect(call(7).data).toEqual({ jsonrpc: '2.0', method: 'getSlot', params: [] });
+      expect(client.fixturePath(call(7))).toBe(client.fixturePath(call(8)));
+    });
+  });
+
+  describe('replay', () => {
+    it('serves a recorded JSON response', async () => {
+      writeFixture({ url: COIN_URL }, { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' }, json: { id: 'bitcoin' } });
+
+      const response = await client.get(COIN_URL, { provider: 'example' });
+
+      expect(response.status).toBe(200);
+      expect(response.data).toEqual({ id: 'bitcoin' });
+    });
+
+    it('rejects recorded error statuses like axios does', async () => {
+      writeFixture({ url: COIN_URL }, { status: 404, statusText: 'Not Found', json: { error: 'coin not found' } });
+
+      const error = await client.get(COIN_URL).catch(e => e);
+
+      expect(error).toBeInstanceOf(axios.AxiosError);
+      expect(error.code).toBe(axios.AxiosError.ERR_BAD_REQUEST);
+      expect(error.response.status).toBe(404);
+      expect(error.response.data).toEqual({ error: 'coin not found' });
+    });
+
+    it('keeps Retry-After on recorded 429s and serves non-JSON bodies as text', async () => {
+      writeFixture({ url: COIN_URL }, { status: 429, statusText: 'Too Many Requests', headers: { 'retry-after': '30' }, text: 'slow down' });
+
+      const error = await client.get(COIN_URL).catch(e => e);
+
+      expect(error.response.status).toBe(429);
+      expect(error.response.headers['retry-after']).toBe('30');
+      expect(error.response.data).toBe('slow down');
+    });
+
+    it('fails with ERR_NO_FIXTURE for requests that were never recorded', async () => {
+      writeFixture({ url: COIN_URL, params: { page: 1 } }, { status: 200, json: [] });
+
+      const error = await client.get(COIN_URL, { params: { page: 2 } }).catch(e => e);
+
+      expect(error.code).toBe('ERR_NO_FIXTURE');
+      expect(error.message).toContain(COIN_URL);
+    });
+  });
+
+  describe('record', () => {
+    it('writes what replay serves, without credentials', async () => {
+      client.mode = 'record';
+      client.networkAdapter = async (requestConfig) => ({
+        data: JSON.stringify({ id: 'bitcoin' }),
+        status: 200,
+        statusText: 'OK',
+        headers: { 'content-type': 'application/json', 'set-cookie': 'session=secret' },
+        config: requestConfig,
+        request: {}
+      });
+
+      await client.get(COIN_URL, { params: { api_key: 'secret', page: 1 }, provider: 'example' });
+
+      const file = client.fixturePath(client.describe({ url: COIN_URL, params: { page: 1 } }));
+      const contents = fs.readFileSync(file, 'utf8');
+      expect(contents).not.toMatch(/secret/);
+      expect(JSON.parse(contents).response).toEqual({
+        status: 200,
+        statusText: 'OK',
+        headers: { 'content-type': 'application/json' },
+        json: { id: 'bitcoin' }
+      });
+
+      client.mode = 'replay';
+      const response = await client.get(COIN_URL, { params: { api_key: 'other', page: 1 } });
+      expect(response.data).toEqual({ id: 'bitcoin' });
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const marketDataService = require('../src/services/analyzer/market-data.service');
+const scoringEngine = require('../src/services/analyzer/scoring.engine');
+const providers = require('../src/services/providers');
+
+const CONTRACT = 'ethereum:0x1111111111111111111111111111111111111111';
+
+describe('MarketDataService', () => {
+  let explorer;
+
+  beforeEach(() => {
+    explorer = {
+      name: 'etherscan',
+      label: 'Etherscan',
+      service: {
+        getTokenInfo: jest.fn().mockResolvedValue({
+          symbol: 'new',
+          name: 'New Token',
+          decimals: 18,
+          totalSupply: '1000000000000000000000000'
+        })
+      }
+    };
+
+    // Every market data provider misses the contract; the explorer knows it
+    const getDefinition = providers.getDefinition.bind(providers);
+    jest.spyOn(providers, 'isActive').mockReturnValue(true);
+    jest.spyOn(providers, 'getDefinition').mockImplementation(name => {
+      if (name === 'etherscan') return explorer;
+      return {
+        ...getDefinition(name),
+        supports: () => true,
+        service: { getCoinData: jest.fn().mockRejectedValue(new Error(`Coin ${CONTRACT} not found`)) }
+      };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('unlisted contracts', () => {
+    it('should report unknown market figures as null, not zero', async () => {
+      const coinData = await marketDataService.getCoinData(CONTRACT);
+
+      expect(coinData.listed).toBe(false);
+      expect(coinData.symbol).toBe('NEW');
+      expect(coinData.total_supply).toBe(1000000);
+      expect(coinData.price_usd).toBeNull();
+      expect(coinData.market_cap).toBeNull();
+      expect(coinData.circulating_supply).toBeNull();
+      expect(coinData.liquidity).toEqual({ binance_volume: null, total_volume: null, volume_to_market_cap: null });
+      expect(coinData.provider_attempts.map(a => a.status)).toEqual(['failed', 'failed', 'ok']);
+    });
+
+    it('should not score supply, valuation or volume for an unlisted token', async () => {
+      const coinData = await marketDataService.getCoinData(CONTRACT);
+
+      const tokenomics = scoringEngine.scoreTokenomics(coinData);
+      const liquidity = scoringEngine.scoreLiquidity(coinData);
+      const rules = [...tokenomics.breakdown.contributions, ...liquidity.breakdown.contributions].map(c => c.rule);
+
+      expect(rules).not.toEqual(expect.arrayContaining(['tokenomics.circulating_ratio']));
+      expect(rules).not.toEqual(expect.arrayContaining(['tokenomics.fdv_to_mcap']));
+      expect(rules.filter(rule => rule.startsWith('liquidity.'))).toEqual([]);
+      expect(Number.isFinite(tokenomics.score)).toBe(true);
+      expect(liquidity.score).toBe(5);
+      expect(tokenomics.details).toMatchObject({ unlisted: true, circulating_ratio: null, fdv_to_mcap: null });
+      expect(liquidity.details.unlisted).toBe(true);
+      expect(tokenomics.flags.join(' ')).toMatch(/Unlisted/);
+      expect(liquidity.flags.join(' ')).toMatch(/Unlisted/);
+    });
+
+    it('should give up when no explorer knows the token', async () => {
+      explorer.service.getTokenInfo.mockResolvedValue({ symbol: 'UNKNOWN', name: 'Unknown', decimals: 18, totalSupply: '0' });
+
+      await expect(marketDataService.getCoinData(CONTRACT)).rejects.toThrow('not found');
+    });
+  });
+});
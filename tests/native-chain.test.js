@@ -0,0 +1,73 @@
+const http = require('../src/utils/http');
+const db = require('../src/utils/database');
+const nativeChainService = require('../src/services/real/native-chain.service');
+const scoringEngine = require('../src/services/analyzer/scoring.engine');
+
+const ETHEREUM_STATS = {
+  data: {
+    transactions_24h: 1200000,
+    median_transaction_fee_usd_24h: 0.42,
+    hashrate_24h: null,
+    nodes: 6000,
+    circulation: '120000000000000000000000000',
+    inflation_24h: '2700000000000000000000',
+    best_block_height: 21000000
+  }
+};
+
+describe('NativeChainService', () => {
+  let beacon;
+
+  beforeEach(() => {
+    beacon = { data: { status: 'OK', data: { epoch: 330000, validatorscount: 1050000 } } };
+
+    jest.spyOn(db, 'logApiCall').mockResolvedValue();
+    jest.spyOn(http, 'get').mockImplementation(async (url) => {
+      if (url.endsWith('/api/v1/epoch/latest')) {
+        if (beacon instanceof Error) throw beacon;
+        return beacon;
+      }
+      return { data: ETHEREUM_STATS };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should report the beacon-chain validator count for ethereum', async () => {
+    const metrics = await nativeChainService.getNetworkMetrics('ethereum');
+
+    expect(metrics.validators).toBe(1050000);
+    expect(metrics.transactions_24h).toBe(1200000);
+    expect(metrics.active_addresses_24h).toBeNull();
+    expect(http.get).toHaveBeenCalledWith(
+      expect.stringMatching(/\/api\/v1\/epoch\/latest$/),
+      expect.objectContaining({ provider: 'native_stats' })
+    );
+
+    const onchain = scoringEngine.scoreNativeOnchain(metrics);
+    expect(onchain.breakdown.contributions).toContainEqual(
+      expect.objectContaining({ rule: 'onchain.validators', threshold: '> 1,000', delta: 1.5 })
+    );
+    expect(onchain.details.active_addresses_24h).toBeNull();
+    expect(onchain.details.active_addresses_note).toMatch(/unavailable/);
+  });
+
+  it('should keep the chain stats when the validator count is unavailable', async () => {
+    beacon = Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } });
+
+    const metrics = await nativeChainService.getNetworkMetrics('ethereum');
+
+    expect(metrics.validators).toBeNull();
+    expect(metrics.circulating_supply).toBe(120000000);
+    expect(db.logApiCall).toHaveBeenCalledWith('native_stats', '/api/v1/epoch/latest', 503, expect.any(Number));
+  });
+
+  it('should not ask for validators on proof-of-work chains', async () => {
+    await nativeChainService.getNetworkMetrics('bitcoin');
+
+    expect(http.get).toHaveBeenCalledTimes(1);
+    expect(http.get.mock.calls[0][0]).toMatch(/\/bitcoin\/stats$/);
+  });
+});
@@ -0,0 +1,122 @@
+const providers = require('../src/services/providers');
+const onchainEnhancedService = require('../src/services/analyzer/onchain-enhanced.service');
+
+const CONTRACT = '0x4444444444444444444444444444444444444444';
+const COIN = { id: 'test-token', symbol: 'tst', market_cap: 5e7, total_volume_24h: 1e6, platforms: { ethereum: CONTRACT } };
+const MULTICHAIN_COIN = { ...COIN, platforms: { ethereum: CONTRACT, 'binance-smart-chain': CONTRACT } };
+
+const holderMetrics = (source) => ({
+  total_holders: 1200,
+  top_10_holders: [{ address: '0xa', balance: '100' }],
+  top_10_concentration: 42,
+  data_source: source
+});
+
+describe('OnChainEnhancedService', () => {
+  let services;
+
+  beforeEach(() => {
+    services = {
+      etherscan: { getTokenMetrics: jest.fn().mockResolvedValue(holderMetrics('etherscan_api')) },
+      covalent: {
+        supportsChain: () => true,
+        getTokenMetrics: jest.fn().mockResolvedValue(holderMetrics('covalent_api'))
+      }
+    };
+
+    jest.spyOn(providers, 'get').mockImplementation(name => services[name] || null);
+    jest.spyOn(providers, 'getInactiveReason').mockImplementation(name => (services[name] ? null : 'not configured'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('single-chain fallback', () => {
+    it('should use the chain explorer first', async () => {
+      const metrics = await onchainEnhancedService.getOnChainMetrics('TST', COIN);
+
+      expect(metrics.provider).toBe('etherscan');
+      expect(metrics.attempts).toEqual([{ provider: 'etherscan', status: 'ok' }]);
+      expect(services.covalent.getTokenMetrics).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the aggregator when the explorer fails', async () => {
+      services.etherscan.getTokenMetrics.mockRejectedValue(new Error('Request failed with status code 503'));
+
+      const metrics = await onchainEnhancedService.getOnChainMetrics('TST', COIN);
+
+      expect(metrics.provider).toBe('covalent');
+      expect(metrics.data_source).toBe('real (ethereum)');
+      expect(metrics.attempts).toEqual([
+        { provider: 'etherscan', status: 'failed', reason: 'Request failed with status code 503' },
+        { provider: 'covalent', status: 'ok' }
+      ]);
+      expect(services.covalent.getTokenMetrics).toHaveBeenCalledWith(CONTRACT, 'ethereum');
+    });
+
+    it('should skip an inactive explorer', async () => {
+      delete services.etherscan;
+
+      const metrics = await onchainEnhancedService.getOnChainMetrics('TST', COIN);
+
+      expect(metrics.attempts).toEqual([
+        { provider: 'etherscan', status: 'skipped', reason: 'not configured' },
+        { provider: 'covalent', status: 'ok' }
+      ]);
+    });
+
+    it('should estimate only after every provider failed, keeping the attempts', async () => {
+      services.etherscan.getTokenMetrics.mockResolvedValue({ ...holderMetrics('etherscan_api'), top_10_holders: [] });
+      services.covalent.supportsChain = () => false;
+
+      const metrics = await onchainEnhancedService.getOnChainMetrics('TST', COIN);
+
+      expect(metrics.data_source).toBe('simulated (fallback)');
+      expect(metrics.attempts).toEqual([
+        { provider: 'etherscan', status: 'failed', reason: 'No holder data returned' },
+        { provider: 'covalent', status: 'skipped', reason: 'ethereum not supported' }
+      ]);
+    });
+  });
+
+  describe('multi-chain aggregation', () => {
+    beforeEach(() => {
+      services.bscscan = { getTokenMetrics: jest.fn().mockResolvedValue({ ...holderMetrics('bscscan_api'), total_holders: 800 }) };
+    });
+
+    it('should sum the holders of every chain and record its attempt', async () => {
+      const metrics = await onchainEnhancedService.getOnChainMetrics('TST', MULTICHAIN_COIN);
+
+      expect(metrics.data_source).toBe('real (multi-chain aggregated)');
+      expect(metrics.total_holders).toBe(2000);
+      expect(metrics.attempts).toEqual([
+        { chain: 'ethereum', provider: 'etherscan', status: 'ok' },
+        { chain: 'bsc', provider: 'bscscan', status: 'ok' }
+      ]);
+    });
+
+    it('should aggregate only the chains that returned holder data', async () => {
+      services.bscscan.getTokenMetrics.mockRejectedValue(new Error('Request failed with status code 503'));
+
+      const metrics = await onchainEnhancedService.getOnChainMetrics('TST', MULTICHAIN_COIN);
+
+      expect(metrics.total_holders).toBe(1200);
+      expect(Object.keys(metrics.chains)).toEqual(['ethereum']);
+      expect(metrics.attempts[1]).toEqual({ chain: 'bsc', provider: 'bscscan', status: 'failed', reason: 'Request failed with status code 503' });
+    });
+
+    it('should estimate when no chain succeeded, keeping the attempts', async () => {
+      services.etherscan.getTokenMetrics.mockResolvedValue({ ...holderMetrics('etherscan_api'), top_10_holders: [] });
+      delete services.bscscan;
+
+      const metrics = await onchainEnhancedService.getOnChainMetrics('TST', MULTICHAIN_COIN);
+
+      expect(metrics.data_source).toBe('simulated (fallback)');
+      expect(metrics.attempts).toEqual([
+        { chain: 'ethereum', provider: 'etherscan', status: 'failed', reason: 'No holder data returned' },
+        { chain: 'bsc', provider: 'bscscan', status: 'skipped', reason: 'not configured' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const db = require('../src/utils/database');
+const scheduler = require('../src/utils/scheduler');
+
+describe('RequestScheduler', () => {
+  let requestScheduler;
+  let usage;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-01T12:00:00Z') });
+
+    usage = {};
+    jest.spyOn(db, 'getProviderUsage').mockImplementation(async (provider, day) => usage[day] || 0);
+    jest.spyOn(db, 'incrementProviderUsage').mockImplementation(async (provider, day) => {
+      usage[day] = (usage[day] || 0) + 1;
+    });
+
+    requestScheduler = new (scheduler.constructor)();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  // Resolve time (ms after the first call) of each scheduled request
+  const admissionTimes = (count) => {
+    const start = Date.now();
+    const times = [];
+
+    for (let i = 0; i < count; i++) {
+      requestScheduler.schedule('test').then(() => times.push(Date.now() - start));
+    }
+
+    return times;
+  };
+
+  it('should let a burst up to the per-second rate through, then space the rest', async () => {
+    requestScheduler.configure('test', { requestsPerSecond: 2 });
+
+    const times = admissionTimes(5);
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(times).toEqual([0, 0, 500, 1000, 1500]);
+  });
+
+  it('should refill the bucket while idle', async () => {
+    requestScheduler.configure('test', { requestsPerSecond: 2 });
+
+    admissionTimes(2);
+    await jest.advanceTimersByTimeAsync(250);
+    // Half a token refilled so far: the next call waits for the other half
+    const times = admissionTimes(1);
+    await jest.advanceTimersByTimeAsync(249);
+    expect(times).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(times).toEqual([250]);
+
+    // A full second idle refills the whole bucket
+    await jest.advanceTimersByTimeAsync(1000);
+    const burst = admissionTimes(2);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(burst).toEqual([0, 0]);
+  });
+
+  it('should only count answered requests against the daily quota', async () => {
+    requestScheduler.configure('test', { requestsPerDay: 2 });
+
+    (await requestScheduler.schedule('test'))(false);
+    (await requestScheduler.schedule('test'))(true);
+
+    expect(db.incrementProviderUsage).toHaveBeenCalledTimes(1);
+    expect((await requestScheduler.getQuota('test')).remaining_today).toBe(1);
+  });
+
+  it('should hold quota for in-flight requests', async () => {
+    requestScheduler.configure('test', { requestsPerDay: 2 });
+
+    await requestScheduler.schedule('test');
+    await requestScheduler.schedule('test');
+
+    await expect(requestScheduler.schedule('test')).rejects.toMatchObject({ code: 'ERR_QUOTA_EXHAUSTED' });
+  });
+
+  it('should load the persisted count and start over when the UTC day changes', async () => {
+    usage['2026-03-01'] = 99;
+    requestScheduler.configure('test', { requestsPerDay: 100 });
+
+    (await requestScheduler.schedule('test'))(true);
+    await expect(requestScheduler.schedule('test')).rejects.toMatchObject({ code: 'ERR_QUOTA_EXHAUSTED' });
+
+    jest.setSystemTime(new Date('2026-03-02T00:00:01Z'));
+    const quota = await requestScheduler.getQuota('test');
+
+    expect(db.getProviderUsage).toHaveBeenLastCalledWith('test', '2026-03-02');
+    expect(quota.used_today).toBe(0);
+    expect(quota.resets_at).toBe('2026-03-03T00:00:00.000Z');
+    await expect(requestScheduler.schedule('test')).resolves.toEqual(expect.any(Function));
+  });
+});
@@ -0,0 +1,130 @@
+const scoringEngine = require('../src/services/analyzer/scoring.engine');
+
+// Rules a breakdown recorded, as { rule: delta }
+const deltas = (breakdown, prefix) => Object.fromEntries(
+  breakdown.contributions
+    .filter(c => c.rule.startsWith(prefix))
+    .map(c => [c.rule, c.delta])
+);
+
+describe('ScoringEngine', () => {
+  describe('scoreTokenomics unlock schedule', () => {
+    const asOf = Date.parse('2026-01-01T00:00:00Z');
+    const coin = {
+      price_usd: 1,
+      market_cap: 500000000,
+      circulating_supply: 500000000,
+      total_supply: 1000000000,
+      max_supply: 1000000000
+    };
+    const unlocks = {
+      unlock_30d: { count: 1, total_amount: 30000000, total_percentage: 3 },
+      unlock_90d: { count: 3, total_amount: 80000000, total_percentage: 8 },
+      upcoming_cliffs: [
+        { date: '2026-01-21T00:00:00Z', percentage: 5, category: 'team' },
+        { date: '2025-12-01T00:00:00Z', percentage: 20, category: 'investors' }
+      ],
+      data_source: 'tokenunlocks'
+    };
+
+    it('should score unlocks as a share of circulating supply', () => {
+      const result = scoringEngine.scoreTokenomics(coin, unlocks, asOf);
+
+      // 30M / 500M circulating, 80M / 500M, and the cliff's 5% of total supply is 10% of circulating
+      expect(deltas(result.breakdown, 'tokenomics.unlock')).toEqual({
+        'tokenomics.unlock_30d': -1,
+        'tokenomics.unlock_90d': -0.5
+      });
+      expect(deltas(result.breakdown, 'tokenomics.largest_cliff')).toEqual({ 'tokenomics.largest_cliff_90d': -0.75 });
+      expect(result.details.unlocks.unlock_30d.pct_of_circulating).toBe(6);
+      expect(result.details.unlocks.unlock_90d.pct_of_circulating).toBe(16);
+      // Past cliffs are dropped
+      expect(result.details.unlocks.upcoming_cliffs).toEqual([
+        { date: '2026-01-21', days_until: 20, percentage: 5, pct_of_circulating: 10, category: 'team' }
+      ]);
+      expect(result.score).toBe(scoringEngine.scoreTokenomics(coin, null, asOf).score - 2.25);
+    });
+
+    it('should not score estimated unlock schedules', () => {
+      const result = scoringEngine.scoreTokenomics(coin, { ...unlocks, data_source: 'mock_estimated' }, asOf);
+
+      expect(deltas(result.breakdown, 'tokenomics.unlock')).toEqual({});
+      expect(result.flags).toContain('Unlock schedule unavailable - estimate not scored');
+    });
+
+    it('should flag a clear 90 days without deductions', () => {
+      const quiet = { unlock_30d: { count: 0 }, unlock_90d: { count: 0 }, upcoming_cliffs: [], data_source: 'tokenunlocks' };
+      const result = scoringEngine.scoreTokenomics(coin, quiet, asOf);
+
+      expect(deltas(result.breakdown, 'tokenomics.unlock')).toEqual({});
+      expect(result.flags).toContain('No major unlocks in the next 90 days');
+    });
+  });
+
+  describe('scoreOnchain DefiLlama TVL', () => {
+    const TVL_RULES = ['mcap_tvl', 'tvl', 'defillama_tvl_change_7d', 'defillama_tvl_change_1m', 'defi_category']
+      .map(rule => `onchain.${rule}`);
+    const holders = { total_holders: 25000, active_addresses_7d: 2500, top_10_concentration: 35 };
+
+    const tvlDeltas = (result) => Object.fromEntries(
+      result.breakdown.contributions
+        .filter(c => TVL_RULES.includes(c.rule))
+        .map(c => [c.rule, c.delta])
+    );
+
+    it('should reward deep TVL, a low MC/TVL ratio and growing TVL', () => {
+      const tvl = { tvl: 2e9, mcap_tvl_ratio: 0.8, change_7d: 25, change_1m: 35, category: 'Lending' };
+      const result = scoringEngine.scoreOnchain(holders, tvl);
+      const withoutTvl = scoringEngine.scoreOnchain(holders, null);
+
+      expect(tvlDeltas(result)).toEqual({
+        'onchain.mcap_tvl': 1.2,
+        'onchain.tvl': 0.8,
+        'onchain.defillama_tvl_change_7d': 0.6,
+        'onchain.defillama_tvl_change_1m': 0.4,
+        'onchain.defi_category': 0.2
+      });
+      expect(result.breakdown.raw_score - withoutTvl.breakdown.raw_score).toBeCloseTo(3.2);
+      expect(result.details).toMatchObject({ tvl: 2e9, mcap_tvl_ratio: 0.8 });
+    });
+
+    it('should penalize small, draining TVL and a rich valuation', () => {
+      const tvl = { tvl: 500000, mcap_tvl_ratio: 12, change_7d: -25, change_1m: -40, category: 'Farm' };
+      const result = scoringEngine.scoreOnchain(holders, tvl);
+
+      expect(tvlDeltas(result)).toEqual({
+        'onchain.mcap_tvl': -0.8,
+        'onchain.tvl': -0.3,
+        'onchain.defillama_tvl_change_7d': -0.8,
+        'onchain.defillama_tvl_change_1m': -0.6,
+        'onchain.defi_category': -0.3
+      });
+      expect(result.red_flags).toContain('TVL outflow: -25.0% (7d)');
+    });
+
+    it('should flag a fair MC/TVL ratio without scoring it', () => {
+      const tvl = { tvl: 50e6, mcap_tvl_ratio: 5, change_7d: -15, change_1m: 0, category: 'Gaming' };
+      const result = scoringEngine.scoreOnchain(holders, tvl);
+
+      expect(tvlDeltas(result)).toEqual({
+        'onchain.tvl': 0.2,
+        'onchain.defillama_tvl_change_7d': -0.4
+      });
+      expect(result.flags).toContain('Fair MC/TVL: 5.00x');
+    });
+
+    it('should not score the DefiLlama trend twice when on-chain data has its own', () => {
+      const tvl = { tvl: 2e9, mcap_tvl_ratio: 2, change_7d: 25, change_1m: 35, category: 'Dexs' };
+      const result = scoringEngine.scoreOnchain({ ...holders, tvl_change_7d: 12 }, tvl);
+
+      expect(Object.keys(tvlDeltas(result))).toEqual(['onchain.mcap_tvl', 'onchain.tvl', 'onchain.defi_category']);
+    });
+
+    it('should ignore missing TVL and native coins', () => {
+      const tvl = { tvl: 2e9, mcap_tvl_ratio: 0.8, category: 'Lending' };
+
+      expect(tvlDeltas(scoringEngine.scoreOnchain(holders, { tvl: 0, mcap_tvl_ratio: null }))).toEqual({});
+      expect(tvlDeltas(scoringEngine.scoreOnchain({ native: true, chain: 'ethereum', transactions_24h: 1200000 }, tvl))).toEqual({});
+    });
+  });
+});
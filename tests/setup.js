@@ -0,0 +1,3 @@
+// Tests replay the recorded fixtures unless HTTP_MODE says otherwise
+// (npm run test:record / test:live), so `npm test` needs no network
+process.env.HTTP_MODE = process.env.HTTP_MODE || 'replay';
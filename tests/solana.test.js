@@ -0,0 +1,135 @@
+const http = require('../src/utils/http');
+const db = require('../src/utils/database');
+const resilience = require('../src/utils/resilience');
+const solanaService = require('../src/services/real/solana.service');
+
+const MINT = 'So1anaTestMint1111111111111111111111111111';
+
+// getProgramAccounts slice of a token account: owner(32) + amount(u64 LE)
+const tokenAccount = (ownerByte, amount) => {
+  const data = Buffer.alloc(40);
+  data.fill(ownerByte, 0, 32);
+  data.writeBigUInt64LE(BigInt(amount * 1e6), 32);
+  return { pubkey: `account-${ownerByte}-${amount}`, account: { data: [data.toString('base64'), 'base64'] } };
+};
+
+const largestAccount = (address, balance) => ({ address, uiAmountString: String(balance) });
+
+describe('SolanaService', () => {
+  let results;
+
+  beforeEach(() => {
+    results = {
+      getTokenSupply: { value: { uiAmountString: '1000', decimals: 6 } },
+      getTokenLargestAccounts: {
+        value: [largestAccount('a1', 500), largestAccount('b1', 300), largestAccount('a2', 100), largestAccount('c1', 50), largestAccount('e1', 5)]
+      },
+      getAccountInfo: { value: { data: { parsed: { info: { mintAuthority: null, freezeAuthority: null } } } } },
+      getProgramAccounts: [
+        tokenAccount(1, 500), tokenAccount(2, 300), tokenAccount(1, 100), tokenAccount(3, 50), tokenAccount(4, 5), tokenAccount(5, 0)
+      ]
+    };
+
+    jest.spyOn(db, 'logApiCall').mockResolvedValue();
+    jest.spyOn(http, 'post').mockImplementation(async (url, body) => {
+      const result = results[body.method];
+      if (result instanceof Error) throw result;
+      return { data: { jsonrpc: '2.0', id: body.id, result } };
+    });
+  });
+
+  afterEach(() => {
+    solanaService.scanHolders = false;
+    jest.restoreAllMocks();
+  });
+
+  const methodsCalled = () => http.post.mock.calls.map(([, body]) => body.method);
+
+  it('should not scan holders unless enabled', async () => {
+    const metrics = await solanaService.getTokenMetrics(MINT);
+
+    expect(methodsCalled()).not.toContain('getProgramAccounts');
+    expect(metrics.total_holders).toBeNull();
+    expect(metrics.gini_scope).toBe('largest_accounts');
+  });
+
+  it('should compute the distribution over every holder when scanning', async () => {
+    solanaService.scanHolders = true;
+
+    const metrics = await solanaService.getTokenMetrics(MINT);
+    const scan = http.post.mock.calls.find(([, body]) => body.method === 'getProgramAccounts');
+
+    expect(scan[2].maxContentLength).toBe(solanaService.scanMaxBytes);
+    expect(scan[1].params[1].dataSlice).toEqual({ offset: 32, length: 40 });
+    // Owner 1's two accounts are one holder; the empty account isn't one
+    expect(metrics.total_holders).toBe(4);
+    expect(metrics.gini_scope).toBe('all_holders');
+    expect(metrics.gini_coefficient).toBe(0.533);
+    expect(metrics.whale_holders).toBe(3);
+    expect(metrics.retail_holders).toBe(1);
+    expect(metrics.top_10_concentration).toBe(95.5);
+    expect(metrics.reliability).toBe('high');
+  });
+
+  it('should fall back to the largest accounts when the RPC refuses the scan', async () => {
+    solanaService.scanHolders = true;
+    http.post.mockImplementation(async (url, body) => {
+      if (body.method === 'getProgramAccounts') {
+        return { data: { jsonrpc: '2.0', id: body.id, error: { code: -32010, message: 'excluded from account secondary indexes' } } };
+      }
+      return { data: { jsonrpc: '2.0', id: body.id, result: results[body.method] } };
+    });
+
+    const metrics = await solanaService.getTokenMetrics(MINT);
+
+    expect(metrics.total_holders).toBeNull();
+    expect(metrics.gini_scope).toBe('largest_accounts');
+    expect(metrics.gini_coefficient).toBe(0.519);
+    expect(metrics.retail_holders).toBeNull();
+    expect(metrics.reliability).toBe('medium');
+  });
+
+  it('should fall back to the largest accounts when the scan is too large', async () => {
+    solanaService.scanHolders = true;
+    results.getProgramAccounts = Object.assign(new Error('maxContentLength size of 10485760 exceeded'), { code: 'ERR_BAD_RESPONSE' });
+
+    const metrics = await solanaService.getTokenMetrics(MINT);
+
+    expect(metrics.gini_scope).toBe('largest_accounts');
+    expect(metrics.top_10_concentration).toBe(95.5);
+    // The RPC answered; an oversized body says nothing about its health
+    expect(resilience.isFailure(results.getProgramAccounts)).toBe(false);
+  });
+
+  describe('getNetworkMetrics', () => {
+    beforeEach(() => {
+      Object.assign(results, {
+        getRecentPerformanceSamples: [
+          { numTransactions: 240000, numNonVoteTransactions: 60000, samplePeriodSecs: 60 },
+          { numTransactions: 360000, numNonVoteTransactions: 120000, samplePeriodSecs: 60 }
+        ],
+        getEpochInfo: { epoch: 700, absoluteSlot: 300000000 },
+        getVoteAccounts: { current: new Array(1400).fill({}), delinquent: new Array(20).fill({}) },
+        getSupply: { value: { circulating: 500e6 * 1e9, total: 590e6 * 1e9 } },
+        getInflationRate: { total: 0.046 }
+      });
+    });
+
+    it('should count only non-vote transactions as daily usage', async () => {
+      const metrics = await solanaService.getNetworkMetrics();
+
+      expect(metrics.tps).toBe(5000);
+      expect(metrics.transactions_24h).toBe(1500 * 86400);
+      expect(metrics.validators).toBe(1400);
+      expect(metrics.delinquent_validators).toBe(20);
+    });
+
+    it('should leave daily usage unknown when the RPC has no vote breakdown', async () => {
+      results.getRecentPerformanceSamples = [{ numTransactions: 240000, samplePeriodSecs: 60 }];
+
+      const metrics = await solanaService.getNetworkMetrics();
+
+      expect(metrics.transactions_24h).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const express = require('express');
+const request = require('supertest');
+const routes = require('../src/routes');
+const analyzerService = require('../src/services/analyzer/analyzer.service');
+const cache = require('../src/utils/cache');
+const db = require('../src/utils/database');
+
+const app = express().use('/api', routes);
+
+// Server-sent events of a finished stream, as [{ event, data }]
+const parseEvents = (text) => text
+  .split('\n\n')
+  .filter(Boolean)
+  .map(block => {
+    const [event, data] = block.split('\n').map(line => line.slice(line.indexOf(':') + 2));
+    return { event, data: JSON.parse(data) };
+  });
+
+const stream = (ticker) => new Promise((resolve, reject) => {
+  request(app).get(`/api/analyze/${ticker}/stream`).end((err, res) => (err ? reject(err) : resolve(res)));
+});
+
+describe('GET /api/analyze/:ticker/stream', () => {
+  const analyzeCoin = analyzerService.analyzeCoin.bind(analyzerService);
+  let release;
+
+  beforeEach(() => {
+    const started = new Promise(resolve => { release = resolve; });
+
+    // Scenario data instead of the live providers, held until the test lets it run
+    jest.spyOn(analyzerService, 'analyzeCoin').mockImplementation(async (ticker, options) => {
+      await started;
+      return analyzeCoin(ticker, { ...options, scenario: 'healthy_blue_chip', seed: 'stream' });
+    });
+    jest.spyOn(cache, 'getEntry').mockResolvedValue(null);
+    jest.spyOn(cache, 'setEntry').mockResolvedValue(true);
+    jest.spyOn(db, 'saveAnalysis').mockResolvedValue({ id: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should stream phases and the final analysis', async () => {
+    release();
+    const res = await stream('STRM');
+    const events = parseEvents(res.text);
+
+    expect(res.headers['content-type']).toMatch('text/event-stream');
+    expect(events.filter(e => e.event === 'phase').length).toBeGreaterThan(0);
+    expect(events[events.length - 1]).toMatchObject({ event: 'complete', data: { ticker: 'STRM', from_cache: false } });
+    expect(db.saveAnalysis).toHaveBeenCalledTimes(1);
+  });
+
+  it('should join an analysis already in flight and get all of its phases', async () => {
+    const first = stream('JOIN');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const second = stream('join');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    release();
+
+    const [a, b] = (await Promise.all([first, second])).map(res => parseEvents(res.text));
+
+    expect(analyzerService.analyzeCoin).toHaveBeenCalledTimes(1);
+    expect(db.saveAnalysis).toHaveBeenCalledTimes(1);
+    expect(b.map(e => e.event)).toEqual(a.map(e => e.event));
+    expect(b.filter(e => e.event === 'phase').map(e => e.data.phase))
+      .toEqual(a.filter(e => e.event === 'phase').map(e => e.data.phase));
+    expect(b[b.length - 1].data.overall_score).toBe(a[a.length - 1].data.overall_score);
+  });
+
+  it('should replay the phases a late subscriber missed', async () => {
+    const first = stream('LATE');
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    // Let the first run emit its phases, then pause it before it finishes
+    let resume;
+    db.saveAnalysis.mockImplementation(() => new Promise(resolve => { resume = () => resolve({ id: 1 }); }));
+    release();
+    while (!resume) await new Promise(resolve => setTimeout(resolve, 10));
+
+    const second = stream('LATE');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    resume();
+
+    const [a, b] = (await Promise.all([first, second])).map(res => parseEvents(res.text));
+    const phaseNames = events => events.filter(e => e.event === 'phase').map(e => e.data.phase);
+
+    expect(analyzerService.analyzeCoin).toHaveBeenCalledTimes(1);
+    expect(phaseNames(b).length).toBeGreaterThan(0);
+    expect(phaseNames(b)).toEqual(phaseNames(a));
+  });
+});